@@ -2,21 +2,187 @@
 
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import { spawn, execSync } from "child_process";
-import { resolve, join } from "path";
-import { existsSync, writeFileSync, mkdirSync } from "fs";
-import { tmpdir } from "os";
+import { resolve, join, dirname, relative, isAbsolute, posix } from "path";
+import {
+  existsSync,
+  writeFileSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  openSync,
+  readSync,
+  closeSync,
+  statSync,
+  renameSync,
+  appendFileSync,
+  unlinkSync,
+  createReadStream,
+  createWriteStream,
+  realpathSync,
+} from "fs";
+import { tmpdir, homedir } from "os";
+import { createServer as createHttpServer } from "http";
+import { createGzip, createGunzip } from "zlib";
+import { PassThrough } from "stream";
+import { pipeline } from "stream/promises";
+import { randomUUID, randomBytes, timingSafeEqual } from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
 
 class RollDevServer {
   // Directory for output log files
   static OUTPUT_LOG_DIR = join(tmpdir(), "rolldev-mcp-logs");
 
+  // Database snapshots are stored per project, relative to the project root
+  static SNAPSHOT_DIR = join(".rolldev", "snapshots");
+
+  // Background jobs: characters of output kept per job, and finished jobs remembered
+  static JOB_OUTPUT_LIMIT = 5 * 1024 * 1024;
+  static JOB_HISTORY_LIMIT = 50;
+
+  // Minimum delay between progress notifications for a single command
+  static PROGRESS_INTERVAL_MS = 500;
+
+  // Audit trail of tool calls; rotated to a single ".1" file past the size limit
+  static AUDIT_LOG_FILE = join(homedir(), ".rolldev-mcp", "audit.jsonl");
+  static AUDIT_LOG_MAX_BYTES = 10 * 1024 * 1024;
+
+  // Per-project command policy, relative to the project root
+  static POLICY_FILE = join(".rolldev", "policy.json");
+
+  // Command policy used when ROLLDEV_POLICY_FILE is not set
+  static DEFAULT_POLICY = {
+    magento: {
+      confirm: ["setup:uninstall", "setup:rollback"],
+    },
+    composer: {
+      confirm: ["remove *"],
+    },
+  };
+
+  // Composer command aliases, expanded before commands are matched against the policy
+  static COMPOSER_ALIASES = {
+    i: "install",
+    u: "update",
+    upgrade: "update",
+    r: "require",
+    rm: "remove",
+    uninstall: "remove",
+    run: "run-script",
+    dumpautoload: "dump-autoload",
+    info: "show",
+    why: "depends",
+    "why-not": "prohibits",
+    selfupdate: "self-update",
+    clearcache: "clear-cache",
+    cc: "clear-cache",
+    browse: "home",
+  };
+
+  // Monolog levels from least to most severe
+  static MONOLOG_LEVELS = ["DEBUG", "INFO", "NOTICE", "WARNING", "ERROR", "CRITICAL", "ALERT", "EMERGENCY"];
+
+  // Known .env.roll variables and how their values are validated
+  static ENV_ROLL_VARIABLES = {
+    ROLL_ENV_NAME: { type: "name" },
+    ROLL_ENV_TYPE: {
+      type: "enum",
+      values: ["magento2", "magento1", "laravel", "symfony", "shopware", "wordpress", "akeneo", "pwa-studio", "local"],
+    },
+    ROLL_WEB_ROOT: { type: "string" },
+    TRAEFIK_DOMAIN: { type: "hostname" },
+    TRAEFIK_SUBDOMAIN: { type: "hostname" },
+    ROLL_DB: { type: "boolean" },
+    ROLL_ELASTICSEARCH: { type: "boolean" },
+    ROLL_OPENSEARCH: { type: "boolean" },
+    ROLL_VARNISH: { type: "boolean" },
+    ROLL_RABBITMQ: { type: "boolean" },
+    ROLL_REDIS: { type: "boolean" },
+    ROLL_ALLURE: { type: "boolean" },
+    ROLL_SELENIUM: { type: "boolean" },
+    ROLL_SELENIUM_DEBUG: { type: "boolean" },
+    ROLL_BLACKFIRE: { type: "boolean" },
+    ROLL_SPLIT_SALES: { type: "boolean" },
+    ROLL_SPLIT_CHECKOUT: { type: "boolean" },
+    ROLL_TEST_DB: { type: "boolean" },
+    ROLL_MAGEPACK: { type: "boolean" },
+    PHP_XDEBUG_3: { type: "boolean" },
+    PHP_VERSION: { type: "version" },
+    NODE_VERSION: { type: "version" },
+    COMPOSER_VERSION: { type: "version" },
+    DB_DISTRIBUTION: { type: "enum", values: ["mariadb", "mysql"] },
+    DB_DISTRIBUTION_VERSION: { type: "version" },
+    MARIADB_VERSION: { type: "version" },
+    ELASTICSEARCH_VERSION: { type: "version" },
+    OPENSEARCH_VERSION: { type: "version" },
+    RABBITMQ_VERSION: { type: "version" },
+    REDIS_VERSION: { type: "version" },
+    VARNISH_VERSION: { type: "version" },
+    BLACKFIRE_CLIENT_ID: { type: "string" },
+    BLACKFIRE_CLIENT_TOKEN: { type: "string" },
+    BLACKFIRE_SERVER_ID: { type: "string" },
+    BLACKFIRE_SERVER_TOKEN: { type: "string" },
+  };
+
   constructor() {
-    this.server = new Server(
+    // Connected MCP servers: the stdio server, or one per HTTP/SSE session
+    this.servers = new Set();
+
+    // Audit log of every tool call, disabled with ROLLDEV_AUDIT_LOG=off
+    const auditLog = process.env.ROLLDEV_AUDIT_LOG;
+    this.auditLogFile = ["0", "false", "no", "off"].includes((auditLog || "").toLowerCase())
+      ? null
+      : auditLog
+        ? resolve(auditLog)
+        : RollDevServer.AUDIT_LOG_FILE;
+
+    // Server-wide command policy; the built-in default applies when unset
+    this.policyFile = process.env.ROLLDEV_POLICY_FILE
+      ? resolve(process.env.ROLLDEV_POLICY_FILE)
+      : null;
+
+    // rolldev_db_query refuses writes and DDL unless explicitly switched off
+    this.dbReadOnly = !["0", "false", "no", "off"].includes(
+      (process.env.ROLLDEV_DB_READ_ONLY || "").toLowerCase(),
+    );
+
+    // Context of the tool call currently being handled (server, progress token, audit record)
+    this.requestContext = new AsyncLocalStorage();
+
+    // Inline output above this many characters is spilled to a log; 0 disables
+    this.outputBudget = this.numberFromEnv("ROLLDEV_OUTPUT_BUDGET", 20000);
+
+    // Retention for saved output logs; 0 disables a limit
+    this.logRetention = {
+      maxAgeDays: this.numberFromEnv("ROLLDEV_LOG_MAX_AGE_DAYS", 7),
+      maxCount: this.numberFromEnv("ROLLDEV_LOG_MAX_COUNT", 200),
+      maxTotalBytes: this.numberFromEnv("ROLLDEV_LOG_MAX_TOTAL_MB", 500) * 1024 * 1024,
+    };
+
+    // Background jobs started with `background: true`, keyed by job ID
+    this.jobs = new Map();
+
+    // Ensure log directory exists
+    this.ensureLogDirectory();
+
+    this.server = this.createMcpServer();
+  }
+
+  /**
+   * Create an MCP server with the full tool, resource and prompt set.
+   * All servers share this instance's jobs, logs and configuration.
+   */
+  createMcpServer() {
+    const server = new Server(
       {
         name: "rolldev-server",
         version: "1.1.0",
@@ -24,14 +190,18 @@ class RollDevServer {
       {
         capabilities: {
           tools: {},
+          resources: {
+            listChanged: true,
+          },
+          prompts: {},
         },
       },
     );
 
-    // Ensure log directory exists
-    this.ensureLogDirectory();
-
-    this.setupToolHandlers();
+    this.setupToolHandlers(server);
+    this.setupResourceHandlers(server);
+    this.setupPromptHandlers(server);
+    return server;
   }
 
   ensureLogDirectory() {
@@ -39,12 +209,52 @@ class RollDevServer {
       if (!existsSync(RollDevServer.OUTPUT_LOG_DIR)) {
         mkdirSync(RollDevServer.OUTPUT_LOG_DIR, { recursive: true });
       }
+      this.applyLogRetention();
     } catch (error) {
       // Log directory creation failed, will fallback to inline output
       console.error(`Failed to create log directory: ${error.message}`);
     }
   }
 
+  /**
+   * Read a numeric setting from the environment, falling back when unset or invalid
+   */
+  numberFromEnv(name, defaultValue) {
+    const value = Number(process.env[name]);
+    return process.env[name] === undefined || Number.isNaN(value) ? defaultValue : value;
+  }
+
+  /**
+   * Delete saved logs that exceed the configured age, count or total size limits
+   * Oldest logs are removed first.
+   * @returns {Array<string>} - Removed log file names
+   */
+  applyLogRetention() {
+    const { maxAgeDays, maxCount, maxTotalBytes } = this.logRetention;
+    const removed = [];
+    let totalSize = 0;
+
+    this.listLogFiles().forEach((log, index) => {
+      const ageMs = Date.now() - statSync(log.path).mtimeMs;
+      totalSize += log.size;
+
+      const tooOld = maxAgeDays > 0 && ageMs > maxAgeDays * 86400000;
+      const tooMany = maxCount > 0 && index >= maxCount;
+      const tooLarge = maxTotalBytes > 0 && totalSize > maxTotalBytes;
+
+      if (tooOld || tooMany || tooLarge) {
+        try {
+          unlinkSync(log.path);
+          removed.push(log.file);
+        } catch (error) {
+          console.error(`Failed to remove log file ${log.file}: ${error.message}`);
+        }
+      }
+    });
+
+    return removed;
+  }
+
   /**
    * Save command output to a log file (only when explicitly requested)
    * @param {string} stdout - Command stdout
@@ -53,7 +263,7 @@ class RollDevServer {
    * @param {string} cwd - Working directory
    * @returns {string|null} - Path to log file, or null on failure
    */
-  saveOutputToFile(stdout, stderr, command, cwd) {
+  saveOutputToFile(stdout, stderr, command, cwd, droppedChars = 0) {
     try {
       const totalOutput = (stdout || "").length + (stderr || "").length;
       const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
@@ -65,7 +275,7 @@ class RollDevServer {
 Command: ${command}
 Working Directory: ${cwd}
 Timestamp: ${new Date().toISOString()}
-Total Output Size: ${totalOutput} characters
+Total Output Size: ${totalOutput} characters${droppedChars ? `\nEarlier Output Dropped: ${droppedChars} characters` : ""}
 
 === STDOUT (${(stdout || "").length} chars) ===
 ${stdout || "(no output)"}
@@ -75,6 +285,14 @@ ${stderr || "(no errors)"}
 `;
 
       writeFileSync(filepath, content, "utf8");
+      this.requestContext.getStore()?.audit?.logFiles.push(filepath);
+      this.applyLogRetention();
+
+      // Let clients know a new log resource is available (no-op when not connected)
+      for (const server of this.servers) {
+        server.sendResourceListChanged().catch(() => {});
+      }
+
       return filepath;
     } catch (error) {
       console.error(`Failed to save output to file: ${error.message}`);
@@ -82,675 +300,6058 @@ ${stderr || "(no errors)"}
     }
   }
 
-  setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-      return {
-        tools: [
-          {
-            name: "rolldev_list_environments",
-            description:
-              "List all running RollDev environments with their directories (returns structured JSON)",
-            inputSchema: {
-              type: "object",
-              properties: {},
-              required: [],
-            },
-          },
-          {
-            name: "rolldev_start_project",
-            description: "Start a RollDev project environment",
-            inputSchema: {
-              type: "object",
-              properties: {
-                project_path: {
-                  type: "string",
-                  description: "Path to the project directory",
-                },
-              },
-              required: ["project_path"],
-            },
-          },
-          {
-            name: "rolldev_stop_project",
-            description: "Stop a RollDev project environment",
-            inputSchema: {
-              type: "object",
-              properties: {
-                project_path: {
-                  type: "string",
-                  description: "Path to the project directory",
-                },
-              },
-              required: ["project_path"],
-            },
-          },
-          {
-            name: "rolldev_start_svc",
-            description: "Start RollDev system services",
-            inputSchema: {
-              type: "object",
-              properties: {
-                project_path: {
-                  type: "string",
-                  description: "Path to the project directory",
-                },
-              },
-              required: ["project_path"],
-            },
-          },
-          {
-            name: "rolldev_stop_svc",
-            description: "Stop RollDev system services",
-            inputSchema: {
-              type: "object",
-              properties: {
-                project_path: {
-                  type: "string",
-                  description: "Path to the project directory",
-                },
-              },
-              required: ["project_path"],
-            },
-          },
-          {
-            name: "rolldev_db_query",
-            description: "Run a SQL query in the RollDev database",
-            inputSchema: {
-              type: "object",
-              properties: {
-                project_path: {
-                  type: "string",
-                  description: "Path to the project directory",
-                },
-                query: {
-                  type: "string",
-                  description: "SQL query to execute",
-                },
-                database: {
-                  type: "string",
-                  description: "Database name (optional, defaults to magento)",
-                  default: "magento",
-                },
-              },
-              required: ["project_path", "query"],
-            },
-          },
-          {
-            name: "rolldev_php_script",
-            description: "Run a PHP script inside the php-fpm container",
-            inputSchema: {
-              type: "object",
-              properties: {
-                project_path: {
-                  type: "string",
-                  description: "Path to the project directory",
-                },
-                script_path: {
-                  type: "string",
-                  description:
-                    "Path to the PHP script relative to project root",
-                },
-                args: {
-                  type: "array",
-                  description: "Additional arguments to pass to the script",
-                  items: {
-                    type: "string",
-                  },
-                  default: [],
-                },
-              },
-              required: ["project_path", "script_path"],
-            },
-          },
-          {
-            name: "rolldev_magento_cli",
-            description: "Run roll magento command inside the php-fpm container",
-            inputSchema: {
-              type: "object",
-              properties: {
-                project_path: {
-                  type: "string",
-                  description: "Path to the project directory",
-                },
-                command: {
-                  type: "string",
-                  description:
-                    "Magento CLI command (without 'bin/magento' prefix)",
-                },
-                args: {
-                  type: "array",
-                  description: "Additional arguments for the command",
-                  items: {
-                    type: "string",
-                  },
-                  default: [],
-                },
-                save_output_to_file: {
-                  type: "boolean",
-                  description:
-                    "Save full output to a log file for later investigation (useful for long output)",
-                  default: false,
-                },
-              },
-              required: ["project_path", "command"],
-            },
-          },
+  /**
+   * Wrap a payload as a JSON text tool response
+   * @param {object} payload - Data to serialize
+   * @param {boolean} isError - Whether the response represents a failure
+   * @returns {object} - MCP tool result
+   */
+  jsonResponse(payload, isError = false) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(payload, null, 2),
+        },
+      ],
+      isError,
+    };
+  }
 
-          {
-            name: "rolldev_composer",
-            description: "Run Composer commands inside the php-fpm container",
-            inputSchema: {
-              type: "object",
-              properties: {
-                project_path: {
-                  type: "string",
-                  description: "Path to the project directory",
-                },
-                command: {
-                  type: "string",
-                  description:
-                    "Composer command to execute (e.g., 'install', 'update', 'require symfony/console', 'require-commerce')",
-                },
-                save_output_to_file: {
-                  type: "boolean",
-                  description:
-                    "Save full output to a log file for later investigation (useful for long output)",
-                  default: false,
-                },
-              },
-              required: ["project_path", "command"],
-            },
-          },
-          {
-            name: "rolldev_magento2_init",
-            description:
-              "Initialize a new Magento 2 project using RollDev's magento2-init command with automatic version configuration",
-            inputSchema: {
-              type: "object",
-              properties: {
-                project_name: {
-                  type: "string",
-                  description: "Name of the Magento 2 project (lowercase letters, numbers, and hyphens only)",
-                },
-                magento_version: {
-                  type: "string",
-                  description: "Magento version to install (default: 2.4.x). Examples: 2.4.x, 2.4.7, 2.4.7-p3, 2.4.8",
-                  default: "2.4.x",
-                },
-                target_directory: {
-                  type: "string",
-                  description: "Directory to create project in (optional, defaults to current directory). Project will be created in a subdirectory named after the project.",
-                  default: "",
-                },
-              },
-              required: ["project_name"],
-            },
-          },
-        ],
-      };
-    });
+  /**
+   * Resolve the project a tool call targets, by RollDev environment name or by path.
+   * A path may point anywhere inside the project; the nearest .env.roll above it wins.
+   * @param {Object} args - Tool arguments carrying environment and/or project_path
+   * @param {Object} options - requireProject: false accepts a directory without .env.roll
+   * @returns {Promise<string>} - Absolute project path
+   */
+  async resolveProject(args = {}, options = {}) {
+    const absoluteProjectPath = await this.locateProject(args, options);
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      switch (request.params.name) {
-        case "rolldev_list_environments":
-          return await this.listEnvironments();
-        case "rolldev_start_project":
-          return await this.startProject(request.params.arguments);
-        case "rolldev_stop_project":
-          return await this.stopProject(request.params.arguments);
-        case "rolldev_start_svc":
-          return await this.startSvc(request.params.arguments);
-        case "rolldev_stop_svc":
-          return await this.stopSvc(request.params.arguments);
-        case "rolldev_db_query":
-          return await this.runDbQuery(request.params.arguments);
-        case "rolldev_php_script":
-          return await this.runPhpScript(request.params.arguments);
-        case "rolldev_magento_cli":
-          return await this.runMagentoCli(request.params.arguments);
-
-        case "rolldev_composer":
-          return await this.runComposer(request.params.arguments);
-        case "rolldev_magento2_init":
-          return await this.magento2Init(request.params.arguments);
-        default:
-          throw new Error(`Unknown tool: ${request.params.name}`);
-      }
-    });
+    const audit = this.requestContext.getStore()?.audit;
+    if (audit) {
+      audit.project = absoluteProjectPath;
+    }
+
+    return absoluteProjectPath;
   }
 
-  async listEnvironments() {
-    try {
-      const result = await this.executeCommand(
-        "roll",
-        ["status"],
-        process.cwd(),
-      );
+  /**
+   * Find the project directory for resolveProject
+   */
+  async locateProject(args, { requireProject = true } = {}) {
+    const { environment, project_path } = args;
 
-      if (result.code === 0) {
-        const environments = this.parseEnvironmentList(result.stdout);
+    if (environment) {
+      const environments = await this.getEnvironmentList();
+      const match = environments.find((env) => env.name === environment);
 
-        return {
-          content: [
-            {
+      if (!match) {
+        throw new Error(
+          `Unknown RollDev environment: ${environment}. ${this.describeKnownEnvironments(environments)}`,
+        );
+      }
+      if (!existsSync(match.path)) {
+        throw new Error(
+          `Project directory for environment ${environment} does not exist: ${match.path}`,
+        );
+      }
+
+      return match.path;
+    }
+
+    if (!project_path) {
+      const environments = await this.getEnvironmentList();
+      throw new Error(
+        `project_path or environment is required. ${this.describeKnownEnvironments(environments)}`,
+      );
+    }
+
+    const normalizedProjectPath = project_path.replace(/\/+$/, "");
+    const absoluteProjectPath = resolve(normalizedProjectPath);
+
+    if (!existsSync(absoluteProjectPath)) {
+      throw new Error(
+        `Project directory does not exist: ${absoluteProjectPath}`,
+      );
+    }
+
+    const projectRoot = this.findProjectRoot(absoluteProjectPath);
+    if (projectRoot) {
+      return projectRoot;
+    }
+    if (!requireProject) {
+      return absoluteProjectPath;
+    }
+
+    const environments = await this.getEnvironmentList();
+    throw new Error(
+      `No RollDev project (.env.roll) found at or above ${absoluteProjectPath}. ${this.describeKnownEnvironments(environments)}`,
+    );
+  }
+
+  /**
+   * Walk up from a directory to the nearest one containing .env.roll
+   * @returns {string|null} - Project root, or null when there is none
+   */
+  findProjectRoot(startPath) {
+    let directory = startPath;
+
+    while (true) {
+      if (existsSync(join(directory, ".env.roll"))) {
+        return directory;
+      }
+
+      const parent = dirname(directory);
+      if (parent === directory) {
+        return null;
+      }
+      directory = parent;
+    }
+  }
+
+  /**
+   * List known environments for resolution error messages
+   */
+  describeKnownEnvironments(environments) {
+    if (environments.length === 0) {
+      return "No running RollDev environments found; pass project_path for stopped projects.";
+    }
+
+    const names = environments.map((env) => `${env.name} (${env.path})`).join(", ");
+    return `Known environments: ${names}. Only running environments can be addressed by name.`;
+  }
+
+  /**
+   * Expose saved command logs as MCP resources (rolldev-log://<filename>)
+   */
+  setupResourceHandlers(server) {
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      return {
+        resources: this.listLogFiles().map((log) => ({
+          uri: `rolldev-log://${log.file}`,
+          name: `${log.command || "RollDev command"} (${log.timestamp || log.file})`,
+          description: `Saved output of '${log.command}' run in ${log.working_directory}`,
+          mimeType: "text/plain",
+          _meta: {
+            command: log.command,
+            working_directory: log.working_directory,
+            timestamp: log.timestamp,
+            size: log.size,
+          },
+        })),
+      };
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const match = uri.match(/^rolldev-log:\/\/(rolldev-output-[\w-]+\.log)$/);
+
+      if (!match) {
+        throw new Error(`Unknown resource: ${uri}`);
+      }
+
+      const filepath = join(RollDevServer.OUTPUT_LOG_DIR, match[1]);
+      if (!existsSync(filepath)) {
+        throw new Error(`Log file no longer exists: ${match[1]}`);
+      }
+
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: "text/plain",
+            text: readFileSync(filepath, "utf8"),
+          },
+        ],
+      };
+    });
+  }
+
+  /**
+   * List saved output logs, newest first, with metadata read from each log header
+   * @returns {Array<object>} - { file, path, size, command, working_directory, timestamp }
+   */
+  listLogFiles() {
+    if (!existsSync(RollDevServer.OUTPUT_LOG_DIR)) {
+      return [];
+    }
+
+    return readdirSync(RollDevServer.OUTPUT_LOG_DIR)
+      .filter((file) => /^rolldev-output-[\w-]+\.log$/.test(file))
+      .map((file) => {
+        const path = join(RollDevServer.OUTPUT_LOG_DIR, file);
+        return {
+          file,
+          path,
+          size: statSync(path).size,
+          ...this.readLogHeader(path),
+        };
+      })
+      .sort((a, b) => b.file.localeCompare(a.file));
+  }
+
+  /**
+   * Read the Command / Working Directory / Timestamp header of a saved log
+   * Only the start of the file is read, logs can be very large
+   */
+  readLogHeader(filepath) {
+    const header = { command: null, working_directory: null, timestamp: null };
+    let fd;
+
+    try {
+      fd = openSync(filepath, "r");
+      const buffer = Buffer.alloc(4096);
+      const bytesRead = readSync(fd, buffer, 0, buffer.length, 0);
+      const text = buffer.toString("utf8", 0, bytesRead);
+
+      header.command = (text.match(/^Command: (.*)$/m) || [])[1] || null;
+      header.working_directory = (text.match(/^Working Directory: (.*)$/m) || [])[1] || null;
+      header.timestamp = (text.match(/^Timestamp: (.*)$/m) || [])[1] || null;
+    } catch (error) {
+      // Unreadable logs are still listed, just without metadata
+    } finally {
+      if (fd !== undefined) {
+        closeSync(fd);
+      }
+    }
+
+    return header;
+  }
+
+  /**
+   * Saved logs filtered by project directory and command text
+   */
+  filterLogFiles({ project_path, command } = {}) {
+    const projectPath = project_path ? resolve(project_path.replace(/\/+$/, "")) : null;
+
+    return this.listLogFiles().filter(
+      (log) =>
+        (!projectPath ||
+          log.working_directory === projectPath ||
+          (log.working_directory || "").startsWith(`${projectPath}/`)) &&
+        (!command || (log.command || "").includes(command)),
+    );
+  }
+
+  /**
+   * Resolve a log file name, path or rolldev-log:// URI to a path inside the log directory
+   */
+  resolveLogFile(log) {
+    const file = String(log)
+      .replace(/^rolldev-log:\/\//, "")
+      .split("/")
+      .pop();
+
+    if (!/^rolldev-output-[\w-]+\.log$/.test(file)) {
+      throw new Error(`Not a RollDev output log: ${log}`);
+    }
+
+    const filepath = join(RollDevServer.OUTPUT_LOG_DIR, file);
+    if (!existsSync(filepath)) {
+      throw new Error(
+        `Log file not found: ${file}. Use rolldev_logs_list to see saved logs.`,
+      );
+    }
+
+    return filepath;
+  }
+
+  async listLogs(args = {}) {
+    const { limit = 50 } = args;
+    const logs = this.filterLogFiles(args);
+
+    return this.jsonResponse({
+      success: true,
+      log_dir: RollDevServer.OUTPUT_LOG_DIR,
+      total: logs.length,
+      retention: {
+        max_age_days: this.logRetention.maxAgeDays,
+        max_count: this.logRetention.maxCount,
+        max_total_size: this.formatBytes(this.logRetention.maxTotalBytes),
+      },
+      logs: logs.slice(0, limit).map((log) => ({
+        ...log,
+        uri: `rolldev-log://${log.file}`,
+        size_human: this.formatBytes(log.size),
+      })),
+    });
+  }
+
+  async readLog(args) {
+    const {
+      log,
+      start_line = 1,
+      line_count = 200,
+      byte_offset,
+      byte_length = 20000,
+    } = args;
+    const filepath = this.resolveLogFile(log);
+
+    if (byte_offset !== undefined) {
+      const totalBytes = statSync(filepath).size;
+      const start = Math.min(Math.max(0, byte_offset), totalBytes);
+      const buffer = Buffer.alloc(Math.max(0, Math.min(byte_length, totalBytes - start)));
+      const fd = openSync(filepath, "r");
+      try {
+        readSync(fd, buffer, 0, buffer.length, start);
+      } finally {
+        closeSync(fd);
+      }
+
+      return this.jsonResponse({
+        success: true,
+        file: filepath,
+        total_bytes: totalBytes,
+        byte_offset: start,
+        byte_length: buffer.length,
+        next_byte_offset: start + buffer.length,
+        has_more: start + buffer.length < totalBytes,
+        text: buffer.toString("utf8"),
+      });
+    }
+
+    const lines = readFileSync(filepath, "utf8").split("\n");
+    const start = Math.max(1, start_line);
+    const selected = lines.slice(start - 1, start - 1 + line_count);
+    const endLine = start + selected.length - 1;
+
+    return this.jsonResponse({
+      success: true,
+      file: filepath,
+      total_lines: lines.length,
+      start_line: start,
+      end_line: endLine,
+      has_more: endLine < lines.length,
+      lines: selected.map((text, index) => ({ line: start + index, text })),
+    });
+  }
+
+  async searchLogs(args) {
+    const { pattern, context_lines = 2, max_matches = 50 } = args;
+
+    if (!pattern) {
+      throw new Error("pattern is required");
+    }
+
+    let regex;
+    try {
+      regex = new RegExp(pattern, "i");
+    } catch (error) {
+      throw new Error(`Invalid pattern: ${error.message}`);
+    }
+
+    const logs = this.filterLogFiles(args);
+    const matches = [];
+    let truncated = false;
+
+    for (const log of logs) {
+      const lines = readFileSync(log.path, "utf8").split("\n");
+
+      for (let i = 0; i < lines.length; i++) {
+        if (!regex.test(lines[i])) {
+          continue;
+        }
+
+        if (matches.length >= max_matches) {
+          truncated = true;
+          break;
+        }
+
+        matches.push({
+          file: log.file,
+          uri: `rolldev-log://${log.file}`,
+          command: log.command,
+          timestamp: log.timestamp,
+          line: i + 1,
+          text: lines[i],
+          before: lines.slice(Math.max(0, i - context_lines), i),
+          after: lines.slice(i + 1, i + 1 + context_lines),
+        });
+      }
+
+      if (truncated) {
+        break;
+      }
+    }
+
+    return this.jsonResponse({
+      success: true,
+      pattern,
+      logs_searched: logs.length,
+      match_count: matches.length,
+      truncated,
+      matches,
+    });
+  }
+
+  /**
+   * Append one audit entry per tool call; failures to write never fail the call
+   */
+  writeAuditEntry(request, audit, startedAt, result, failure) {
+    if (!this.auditLogFile) {
+      return;
+    }
+
+    const finishedAt = new Date();
+    const lastCommand = audit.commands[audit.commands.length - 1] || null;
+
+    const entry = {
+      id: randomUUID(),
+      tool: request.params.name,
+      arguments: this.sanitizeAuditValue(request.params.arguments || {}),
+      project: audit.project,
+      command: lastCommand ? lastCommand.command : null,
+      job_id: lastCommand?.job_id ?? null,
+      commands: audit.commands,
+      started_at: startedAt.toISOString(),
+      finished_at: finishedAt.toISOString(),
+      duration_ms: finishedAt - startedAt,
+      exit_code: lastCommand ? lastCommand.exit_code : null,
+      timed_out: audit.commands.some((command) => command.timed_out),
+      success: !failure && !result?.isError,
+      error: failure ? failure.message : null,
+      log_path: audit.logFiles[audit.logFiles.length - 1] || null,
+    };
+
+    try {
+      mkdirSync(dirname(this.auditLogFile), { recursive: true });
+
+      // Keep a single previous file once the log grows past the size limit
+      if (existsSync(this.auditLogFile) && statSync(this.auditLogFile).size >= RollDevServer.AUDIT_LOG_MAX_BYTES) {
+        renameSync(this.auditLogFile, `${this.auditLogFile}.1`);
+      }
+
+      appendFileSync(this.auditLogFile, `${JSON.stringify(entry)}\n`, "utf8");
+    } catch (error) {
+      console.error(`Failed to write audit log: ${error.message}`);
+    }
+  }
+
+  /**
+   * Redact secrets and shorten long strings in tool arguments before auditing them
+   */
+  sanitizeAuditValue(value, key = "") {
+    if (/pass(word)?|secret|token|auth|credential|api[_-]?key/i.test(key)) {
+      return "[redacted]";
+    }
+    if (typeof value === "string") {
+      return value.length > 2000
+        ? `${value.slice(0, 2000)}... (${value.length} chars)`
+        : value;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => this.sanitizeAuditValue(item));
+    }
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([name, item]) => [name, this.sanitizeAuditValue(item, name)]),
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Build the audited form of a command line, redacting values of secret-looking options
+   */
+  auditCommandString(command, args) {
+    const secretOption = /^--?[\w-]*(pass(word)?|secret|token|auth|credential|api[_-]?key)[\w-]*$/i;
+    const parts = [command];
+
+    args.forEach((arg, index) => {
+      const text = String(arg);
+      const eq = text.indexOf("=");
+      if (eq > 0 && secretOption.test(text.slice(0, eq))) {
+        parts.push(`${text.slice(0, eq)}=[redacted]`);
+      } else if (index > 0 && secretOption.test(String(args[index - 1])) && !text.startsWith("-")) {
+        parts.push("[redacted]");
+      } else {
+        parts.push(text);
+      }
+    });
+
+    return this.sanitizeAuditValue(parts.join(" "));
+  }
+
+  /**
+   * Read audit entries, oldest first, including the rotated previous file
+   */
+  readAuditEntries() {
+    const entries = [];
+
+    for (const file of [`${this.auditLogFile}.1`, this.auditLogFile]) {
+      if (!existsSync(file)) {
+        continue;
+      }
+
+      for (const line of readFileSync(file, "utf8").split("\n")) {
+        if (!line.trim()) {
+          continue;
+        }
+        try {
+          entries.push(JSON.parse(line));
+        } catch (error) {
+          // Skip partially written lines
+        }
+      }
+    }
+
+    return entries;
+  }
+
+  async queryAuditLog(args) {
+    const { project_path, environment, tool, status = "all", since, limit = 50 } = args;
+
+    if (!this.auditLogFile) {
+      return this.jsonResponse(
+        {
+          success: false,
+          error: "The audit log is disabled (ROLLDEV_AUDIT_LOG=off)",
+        },
+        true,
+      );
+    }
+
+    if (!["all", "failed", "succeeded"].includes(status)) {
+      throw new Error("status must be one of: all, failed, succeeded");
+    }
+
+    const sinceTime = since ? Date.parse(since) : null;
+    if (since && Number.isNaN(sinceTime)) {
+      throw new Error(`Invalid since timestamp: ${since}`);
+    }
+
+    // Resolve the filter like any project-scoped tool; a removed project directory is matched as given
+    let projectPath = null;
+    if (environment || project_path) {
+      const givenPath = project_path ? resolve(project_path.replace(/\/+$/, "")) : null;
+      projectPath =
+        givenPath && !existsSync(givenPath)
+          ? givenPath
+          : await this.locateProject({ project_path, environment }, { requireProject: false });
+    }
+
+    // Compare real paths too, so symlinked and direct paths to a project match each other
+    const realPaths = new Map();
+    const realPath = (path) => {
+      if (!realPaths.has(path)) {
+        realPaths.set(path, existsSync(path) ? realpathSync(path) : path);
+      }
+      return realPaths.get(path);
+    };
+    const isProject = (entryProject) =>
+      Boolean(entryProject) && (entryProject === projectPath || realPath(entryProject) === realPath(projectPath));
+
+    const matches = this.readAuditEntries()
+      .filter((entry) => !projectPath || isProject(entry.project))
+      .filter((entry) => !tool || entry.tool === tool)
+      .filter((entry) => status === "all" || entry.success === (status === "succeeded"))
+      .filter((entry) => sinceTime === null || Date.parse(entry.started_at) >= sinceTime)
+      .reverse();
+
+    return this.jsonResponse({
+      success: true,
+      audit_log: this.auditLogFile,
+      total_matches: matches.length,
+      returned: Math.min(matches.length, limit),
+      entries: matches.slice(0, limit),
+    });
+  }
+
+  /**
+   * Prompt templates for recurring Magento workflows built on this server's tools
+   */
+  setupPromptHandlers(server) {
+    const projectArgument = {
+      name: "project",
+      description: "Project directory path or RollDev environment name",
+      required: true,
+    };
+
+    const prompts = [
+      {
+        name: "debug_500_error",
+        description:
+          "Investigate a 500 error or 'There has been an error processing your request' page in a Magento project",
+        arguments: [
+          projectArgument,
+          {
+            name: "url",
+            description: "URL or page where the error occurs (optional)",
+            required: false,
+          },
+        ],
+      },
+      {
+        name: "install_composer_module",
+        description:
+          "Install a Composer package as a Magento module and run the required setup steps",
+        arguments: [
+          projectArgument,
+          {
+            name: "package",
+            description: "Composer package name, e.g. vendor/module-name",
+            required: true,
+          },
+          {
+            name: "version",
+            description: "Version constraint (optional)",
+            required: false,
+          },
+        ],
+      },
+      {
+        name: "upgrade_magento",
+        description:
+          "Upgrade a Magento project to a new version with a database checkpoint before the risky steps",
+        arguments: [
+          projectArgument,
+          {
+            name: "target_version",
+            description: "Magento version to upgrade to, e.g. 2.4.7-p3",
+            required: true,
+          },
+        ],
+      },
+    ];
+
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return { prompts };
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: promptArgs = {} } = request.params;
+      const prompt = prompts.find((entry) => entry.name === name);
+
+      if (!prompt) {
+        throw new Error(`Unknown prompt: ${name}`);
+      }
+
+      for (const argument of prompt.arguments) {
+        if (argument.required && !promptArgs[argument.name]) {
+          throw new Error(`Missing required argument for ${name}: ${argument.name}`);
+        }
+      }
+
+      return {
+        description: prompt.description,
+        messages: [
+          {
+            role: "user",
+            content: {
               type: "text",
-              text: JSON.stringify(
-                {
-                  success: true,
-                  command: "roll status",
-                  exit_code: result.code,
-                  environments: environments.map((env) => ({
-                    name: env.name,
-                    path: env.path,
-                    url: env.url,
-                    network: env.network,
-                    containers: env.containers,
-                  })),
-                  raw_output: result.stdout,
-                },
-                null,
-                2,
-              ),
+              text: this.buildPromptText(name, promptArgs),
             },
-          ],
-          isError: false,
-        };
+          },
+        ],
+      };
+    });
+  }
+
+  buildPromptText(name, args) {
+    const project = this.describePromptProject(args.project);
+
+    switch (name) {
+      case "debug_500_error":
+        return `Debug a 500 error in a RollDev Magento project${args.url ? ` at ${args.url}` : ""}.
+
+${project}
+
+Work through these steps with the RollDev MCP tools, reporting what you find after each one:
+
+1. Run \`rolldev_list_environments\` and confirm the environment is running. If it is not, start it with \`rolldev_start_project\`.
+2. If the error page shows "Error log record number", note the report ID.
+3. Read the newest entries of var/log/exception.log and var/log/system.log with \`rolldev_magento_logs\` (level: "ERROR"), and decode the error report with \`rolldev_magento_report\` (with the report ID, or without one to list the newest reports).
+4. Check the deploy mode with \`rolldev_magento_cli\` (command: "deploy:mode:show") and whether the database is reachable with \`rolldev_db_query\` (query: "SELECT 1").
+5. Check for pending schema or data upgrades with \`rolldev_magento_cli\` (command: "setup:db:status").
+6. Based on the exception, propose a fix. Common ones: \`rolldev_magento_cli\` "setup:upgrade", "setup:di:compile" or "cache:flush", or \`rolldev_composer\` "dump-autoload".
+7. After applying a fix, run \`rolldev_magento_cli\` "cache:flush" and ask me to reload the page.
+
+Do not run destructive SQL or change configuration without asking me first.`;
+
+      case "install_composer_module":
+        return `Install the Composer package ${args.package}${args.version ? ` (${args.version})` : ""} as a Magento module.
+
+${project}
+
+Follow this sequence with the RollDev MCP tools and stop at the first failure to show me the error:
+
+1. Run \`rolldev_composer\` with command "require ${args.package}${args.version ? `:${args.version}` : ""}". Use background: true and poll with \`rolldev_job_status\` if it takes long.
+2. Run \`rolldev_magento_cli\` with command "module:status" to find the new module name(s) and enable them with "module:enable" if they are disabled.
+3. Run \`rolldev_magento_cli\` "setup:upgrade".
+4. If the project is not in developer mode (check "deploy:mode:show"), run "setup:di:compile" and "setup:static-content:deploy".
+5. Run \`rolldev_magento_cli\` "cache:flush".
+6. Verify the module with \`rolldev_magento_cli\` "module:status" and, if it adds tables, \`rolldev_db_query\` (e.g. "SHOW TABLES LIKE '<prefix>%'").
+
+Summarize what was installed and any warnings from the output.`;
+
+      case "upgrade_magento":
+        return `Upgrade Magento to version ${args.target_version}.
+
+${project}
+
+Follow this sequence with the RollDev MCP tools. Ask me before continuing whenever a step fails:
+
+1. Record the current version with \`rolldev_magento_cli\` "--version" and the deploy mode with "deploy:mode:show".
+2. Create a database checkpoint with \`rolldev_db_snapshot_create\` (name: "before-upgrade-${args.target_version}").
+3. Enable maintenance mode with \`rolldev_magento_cli\` "maintenance:enable".
+4. Update the Magento metapackage with \`rolldev_composer\`: "require magento/product-community-edition=${args.target_version} --no-update" (or magento/product-enterprise-edition for Adobe Commerce), then "update" with background: true. Poll the job with \`rolldev_job_status\` and read output with \`rolldev_job_output\`.
+5. Run \`rolldev_magento_cli\` "setup:upgrade" with save_output_to_file: true.
+6. Run "setup:di:compile", and "setup:static-content:deploy" when not in developer mode.
+7. Run \`rolldev_magento_cli\` "cache:flush" and "maintenance:disable".
+8. Confirm the new version with \`rolldev_magento_cli\` "--version" and check for errors with "setup:db:status".
+
+If setup:upgrade fails, offer to restore the checkpoint with \`rolldev_db_snapshot_restore\`.`;
+
+      default:
+        throw new Error(`Unknown prompt: ${name}`);
+    }
+  }
+
+  /**
+   * Tell the model how to address the project given as a path or environment name
+   */
+  describePromptProject(project) {
+    // An existing directory is a path even without a slash, e.g. "." or "shop"
+    const directory = resolve(project);
+    if (existsSync(directory) && statSync(directory).isDirectory()) {
+      return `Project directory: ${directory} (use it as project_path for every tool).`;
+    }
+    if (project.includes("/")) {
+      return `Project directory: ${project} (use it as project_path for every tool).`;
+    }
+
+    return `RollDev environment: ${project} (pass it as environment for every tool).`;
+  }
+
+  setupToolHandlers(server) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+      return {
+        tools: [
+          {
+            name: "rolldev_list_environments",
+            description:
+              "List all running RollDev environments with their directories (returns structured JSON)",
+            inputSchema: {
+              type: "object",
+              properties: {},
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_start_project",
+            description: "Start a RollDev project environment",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_stop_project",
+            description: "Stop a RollDev project environment",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_start_svc",
+            description: "Start RollDev system services",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_stop_svc",
+            description: "Stop RollDev system services",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_env_config_get",
+            description:
+              "Read a project's .env.roll as typed JSON: environment name and type, domain, enabled services, service versions and every variable",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_env_config_set",
+            description:
+              "Change variables in a project's .env.roll. Values are validated against known RollDev variables; comments and ordering are preserved. Optionally restarts the environment so the change takes effect",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+                changes: {
+                  type: "object",
+                  description: "Variables to set, e.g. {\"PHP_VERSION\": \"8.3\", \"ROLL_REDIS\": true}. Pass versions as strings; null removes a variable",
+                  additionalProperties: {
+                    type: ["string", "number", "boolean", "null"],
+                  },
+                },
+                allow_unknown: {
+                  type: "boolean",
+                  description: "Allow variables that are not known RollDev settings (default: false)",
+                  default: false,
+                },
+                restart: {
+                  type: "boolean",
+                  description: "Restart the environment (roll env down, then roll env up) when something changed (default: false)",
+                  default: false,
+                },
+              },
+              required: ["changes"],
+            },
+          },
+          {
+            name: "rolldev_env_logs",
+            description:
+              "Read the project's container logs (roll env logs) as structured entries with service, timestamp and line. Filter by service, time window and regex; optionally follow new output for a bounded number of seconds",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+                service: {
+                  type: "string",
+                  description: "Only this service, e.g. nginx, php-fpm, db (default: all services)",
+                },
+                since: {
+                  type: "string",
+                  description: "Only logs newer than this, e.g. 10m, 2h or an ISO timestamp (optional)",
+                },
+                tail: {
+                  type: "number",
+                  description: "Number of lines to show from the end of each container's log (default: 200)",
+                  default: 200,
+                },
+                filter: {
+                  type: "string",
+                  description: "Case-insensitive regular expression the log line must match (optional)",
+                },
+                follow_seconds: {
+                  type: "number",
+                  description: "Keep following new log output for this many seconds, at most 300 (default: 0, no follow)",
+                  default: 0,
+                },
+                max_entries: {
+                  type: "integer",
+                  minimum: 1,
+                  description: "Maximum number of entries to return, newest kept (default: 1000)",
+                  default: 1000,
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_db_query",
+            description:
+              "Run a SQL query in the RollDev database (returns structured JSON with columns, rows, affected rows, warnings and a read/write/ddl classification per statement). The server is read-only by default; destructive statements require confirm: true or a dry_run preview",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+                query: {
+                  type: "string",
+                  description: "SQL query to execute",
+                },
+                database: {
+                  type: "string",
+                  description:
+                    "Database name (optional, defaults to the environment's database, usually magento)",
+                },
+                limit: {
+                  type: "integer",
+                  description:
+                    "Maximum number of rows to return per result set",
+                  default: 100,
+                },
+                offset: {
+                  type: "integer",
+                  description:
+                    "Number of rows to skip in each result set before returning rows",
+                  default: 0,
+                },
+                confirm: {
+                  type: "boolean",
+                  description:
+                    "Required to run destructive statements (DROP, TRUNCATE, DELETE/UPDATE without WHERE)",
+                  default: false,
+                },
+                dry_run: {
+                  type: "boolean",
+                  description:
+                    "Run data-changing statements inside a transaction that is rolled back, reporting affected row counts without keeping changes",
+                  default: false,
+                },
+              },
+              required: ["query"],
+            },
+          },
+          {
+            name: "rolldev_db_list_databases",
+            description:
+              "List the databases available on the project's database server (returns structured JSON)",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_db_list_tables",
+            description:
+              "List tables in the project database with engine, estimated row counts and sizes (returns structured JSON)",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+                database: {
+                  type: "string",
+                  description:
+                    "Database name (optional, defaults to the environment's database, usually magento)",
+                },
+                pattern: {
+                  type: "string",
+                  description:
+                    "Optional SQL LIKE pattern to filter table names (e.g., 'sales_%')",
+                },
+                order_by: {
+                  type: "string",
+                  description: "Sort tables by name or by total size",
+                  enum: ["name", "size"],
+                  default: "name",
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_db_describe_table",
+            description:
+              "Describe a table's columns, indexes and foreign keys (returns structured JSON)",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+                table: {
+                  type: "string",
+                  description: "Table name to describe",
+                },
+                database: {
+                  type: "string",
+                  description:
+                    "Database name (optional, defaults to the environment's database, usually magento)",
+                },
+              },
+              required: ["table"],
+            },
+          },
+          {
+            name: "rolldev_db_snapshot_create",
+            description:
+              "Dump the project database to a named, timestamped, gzip-compressed snapshot inside the project (30 minute timeout)",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+                name: {
+                  type: "string",
+                  description:
+                    "Snapshot name (letters, numbers, dots, dashes and underscores), e.g. 'before-setup-upgrade'",
+                },
+              },
+              required: ["name"],
+            },
+          },
+          {
+            name: "rolldev_db_snapshot_list",
+            description:
+              "List database snapshots stored in the project with their sizes and creation times (returns structured JSON)",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_db_snapshot_restore",
+            description:
+              "Restore the project database from a snapshot or SQL dump file by streaming it into 'roll db import' (60 minute timeout). Overwrites existing data",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+                snapshot: {
+                  type: "string",
+                  description:
+                    "Snapshot file name or snapshot name (the newest snapshot with that name is used)",
+                },
+                file: {
+                  type: "string",
+                  description:
+                    "Path to a .sql or .sql.gz dump inside the project (relative to the project root) to import instead of a snapshot; in read-only database mode only files in .rolldev/snapshots",
+                },
+                confirm: {
+                  type: "boolean",
+                  description: "Must be true, restoring replaces the current database contents",
+                  default: false,
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_job_status",
+            description:
+              "Get the status of a background job (running, completed, failed, timed_out, cancelled) with the last lines of output",
+            inputSchema: {
+              type: "object",
+              properties: {
+                job_id: {
+                  type: "string",
+                  description: "Job ID returned when the command was started",
+                },
+              },
+              required: ["job_id"],
+            },
+          },
+          {
+            name: "rolldev_job_output",
+            description:
+              "Read a background job's combined output starting at an offset; pass next_offset from the previous call to read incrementally",
+            inputSchema: {
+              type: "object",
+              properties: {
+                job_id: {
+                  type: "string",
+                  description: "Job ID returned when the command was started",
+                },
+                offset: {
+                  type: "integer",
+                  description: "Character offset to start reading from",
+                  default: 0,
+                },
+                max_chars: {
+                  type: "integer",
+                  description: "Maximum number of characters to return",
+                  default: 20000,
+                },
+              },
+              required: ["job_id"],
+            },
+          },
+          {
+            name: "rolldev_job_list",
+            description: "List background jobs, newest first (returns structured JSON)",
+            inputSchema: {
+              type: "object",
+              properties: {
+                status: {
+                  type: "string",
+                  description: "Only list jobs with this status",
+                  enum: ["running", "completed", "failed", "timed_out", "cancelled"],
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_job_cancel",
+            description:
+              "Cancel a running background job (SIGTERM, then SIGKILL after 5 seconds)",
+            inputSchema: {
+              type: "object",
+              properties: {
+                job_id: {
+                  type: "string",
+                  description: "Job ID returned when the command was started",
+                },
+              },
+              required: ["job_id"],
+            },
+          },
+          {
+            name: "rolldev_logs_list",
+            description:
+              "List saved command output logs, newest first, optionally filtered by project and command (returns structured JSON)",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Only list logs of commands run in this project directory",
+                },
+                command: {
+                  type: "string",
+                  description: "Only list logs whose command contains this text (e.g., 'setup:upgrade')",
+                },
+                limit: {
+                  type: "integer",
+                  description: "Maximum number of logs to return",
+                  default: 50,
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_log_read",
+            description:
+              "Read a range of lines or bytes from a saved command output log",
+            inputSchema: {
+              type: "object",
+              properties: {
+                log: {
+                  type: "string",
+                  description: "Log file name, path or rolldev-log:// URI",
+                },
+                start_line: {
+                  type: "integer",
+                  description: "First line to return (1-based)",
+                  default: 1,
+                },
+                line_count: {
+                  type: "integer",
+                  description: "Number of lines to return",
+                  default: 200,
+                },
+                byte_offset: {
+                  type: "integer",
+                  description:
+                    "Read a byte range starting here instead of a line range",
+                },
+                byte_length: {
+                  type: "integer",
+                  description: "Number of bytes to read with byte_offset",
+                  default: 20000,
+                },
+              },
+              required: ["log"],
+            },
+          },
+          {
+            name: "rolldev_logs_search",
+            description:
+              "Search saved command output logs for a regular expression and return matching lines with context",
+            inputSchema: {
+              type: "object",
+              properties: {
+                pattern: {
+                  type: "string",
+                  description: "Regular expression to search for (case-insensitive)",
+                },
+                project_path: {
+                  type: "string",
+                  description: "Only search logs of commands run in this project directory",
+                },
+                command: {
+                  type: "string",
+                  description: "Only search logs whose command contains this text",
+                },
+                context_lines: {
+                  type: "integer",
+                  description: "Lines of context to include before and after each match",
+                  default: 2,
+                },
+                max_matches: {
+                  type: "integer",
+                  description: "Maximum number of matches to return",
+                  default: 50,
+                },
+              },
+              required: ["pattern"],
+            },
+          },
+          {
+            name: "rolldev_audit_log",
+            description:
+              "Query the audit log of tool calls made through this server, newest first: arguments (secrets redacted), resolved project, roll commands run, timing, exit code, timeout flag and output log",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Only entries for this project (the project directory or any directory inside it; optional)",
+                },
+                environment: {
+                  type: "string",
+                  description: "Only entries for this RollDev environment's project (alternative to project_path; optional)",
+                },
+                tool: {
+                  type: "string",
+                  description: "Only entries for this tool, e.g. rolldev_magento_cli (optional)",
+                },
+                status: {
+                  type: "string",
+                  enum: ["all", "failed", "succeeded"],
+                  description: "Filter by outcome (default: all)",
+                  default: "all",
+                },
+                since: {
+                  type: "string",
+                  description: "Only entries started at or after this ISO timestamp (optional)",
+                },
+                limit: {
+                  type: "number",
+                  description: "Maximum number of entries to return (default: 50)",
+                  default: 50,
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_php_script",
+            description: "Run a PHP script inside the php-fpm container",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+                script_path: {
+                  type: "string",
+                  description:
+                    "Path to the PHP script relative to project root",
+                },
+                args: {
+                  type: "array",
+                  description: "Additional arguments to pass to the script",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+                confirm: {
+                  type: "boolean",
+                  description:
+                    "Confirm a command that the command policy marks as requiring confirmation (default: false)",
+                  default: false,
+                },
+              },
+              required: ["script_path"],
+            },
+          },
+          {
+            name: "rolldev_magento_cli",
+            description: "Run roll magento command inside the php-fpm container",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+                command: {
+                  type: "string",
+                  description:
+                    "Magento CLI command (without 'bin/magento' prefix)",
+                },
+                args: {
+                  type: "array",
+                  description: "Additional arguments for the command",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+                confirm: {
+                  type: "boolean",
+                  description:
+                    "Confirm a command that the command policy marks as requiring confirmation (default: false)",
+                  default: false,
+                },
+                save_output_to_file: {
+                  type: "boolean",
+                  description:
+                    "Save full output to a log file for later investigation (useful for long output)",
+                  default: false,
+                },
+                background: {
+                  type: "boolean",
+                  description:
+                    "Run as a background job and return a job ID immediately (poll with rolldev_job_status / rolldev_job_output)",
+                  default: false,
+                },
+              },
+              required: ["command"],
+            },
+          },
+
+          {
+            name: "rolldev_composer",
+            description: "Run Composer commands inside the php-fpm container",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+                command: {
+                  type: "string",
+                  description:
+                    "Composer command to execute (e.g., 'install', 'update', 'require symfony/console', 'require-commerce')",
+                },
+                confirm: {
+                  type: "boolean",
+                  description:
+                    "Confirm a command that the command policy marks as requiring confirmation (default: false)",
+                  default: false,
+                },
+                save_output_to_file: {
+                  type: "boolean",
+                  description:
+                    "Save full output to a log file for later investigation (useful for long output)",
+                  default: false,
+                },
+                background: {
+                  type: "boolean",
+                  description:
+                    "Run as a background job and return a job ID immediately (poll with rolldev_job_status / rolldev_job_output)",
+                  default: false,
+                },
+              },
+              required: ["command"],
+            },
+          },
+          {
+            name: "rolldev_magento_cache",
+            description:
+              "Show Magento cache types with their enabled state, or enable/disable/clean/flush selected types in one call and return the state before and after. Optionally purges Varnish for Varnish-backed projects",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+                action: {
+                  type: "string",
+                  enum: ["status", "enable", "disable", "clean", "flush"],
+                  description: "What to do (default: status)",
+                  default: "status",
+                },
+                types: {
+                  type: "array",
+                  description: "Cache types to act on, e.g. [\"config\", \"full_page\"] (default: all types)",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+                purge_varnish: {
+                  type: "boolean",
+                  description: "Also ban all URLs in Varnish after the action when the project uses Varnish (default: false)",
+                  default: false,
+                },
+                confirm: {
+                  type: "boolean",
+                  description:
+                    "Confirm a command that the command policy marks as requiring confirmation (default: false)",
+                  default: false,
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_magento_indexers",
+            description:
+              "Show Magento indexers as JSON (id, title, status, mode, schedule backlog, last updated), reindex selected indexers with per-indexer timing, switch them between realtime and schedule mode, or reset invalid indexers",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+                action: {
+                  type: "string",
+                  enum: ["status", "reindex", "set_mode", "reset"],
+                  description: "What to do (default: status)",
+                  default: "status",
+                },
+                indexers: {
+                  type: "array",
+                  description: "Indexer IDs, e.g. [\"catalog_product_price\"] (default: all indexers; for reset, all invalid or stuck indexers)",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+                mode: {
+                  type: "string",
+                  enum: ["realtime", "schedule"],
+                  description: "Indexer mode for set_mode",
+                },
+                confirm: {
+                  type: "boolean",
+                  description:
+                    "Confirm a command that the command policy marks as requiring confirmation (default: false)",
+                  default: false,
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_magento_modules",
+            description:
+              "List enabled and disabled Magento modules with their module.xml sequence dependencies, or enable/disable modules (optionally with their dependencies) and run the setup:upgrade, di:compile and cache:clean follow-up steps, reporting each step's result",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+                action: {
+                  type: "string",
+                  enum: ["status", "enable", "disable"],
+                  description: "What to do (default: status)",
+                  default: "status",
+                },
+                modules: {
+                  type: "array",
+                  description:
+                    "Module names, e.g. [\"Vendor_Module\"]. Required for enable/disable; for status, limits the dependency details to these modules",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+                include_dependencies: {
+                  type: "boolean",
+                  description:
+                    "Also enable the disabled modules they depend on, or disable the enabled modules that depend on them (default: false, which refuses instead)",
+                  default: false,
+                },
+                follow_up: {
+                  type: "boolean",
+                  description: "Run setup:upgrade, setup:di:compile and cache:clean after the change (default: false)",
+                  default: false,
+                },
+                confirm: {
+                  type: "boolean",
+                  description:
+                    "Confirm a command that the command policy marks as requiring confirmation (default: false)",
+                  default: false,
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_magento_config",
+            description:
+              "Read Magento store configuration (effective value from config:show, core_config_data rows for every scope, values locked in app/etc/env.php or config.php), or set/unset a value at a default, website or store scope, returning the value before and after",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+                action: {
+                  type: "string",
+                  enum: ["get", "set", "unset"],
+                  description: "What to do (default: get)",
+                  default: "get",
+                },
+                paths: {
+                  type: "array",
+                  description:
+                    "Config paths to read, e.g. [\"web/secure/base_url\"]; a section or group such as \"web/secure\" reads everything under it (get only, up to 20)",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+                path: {
+                  type: "string",
+                  description: "Full config path to set or unset, e.g. web/secure/base_url",
+                },
+                value: {
+                  type: "string",
+                  description: "Value to set",
+                },
+                scope: {
+                  type: "string",
+                  enum: ["default", "websites", "stores"],
+                  description: "Scope to read the effective value at, or to set/unset (default: default)",
+                  default: "default",
+                },
+                scope_code: {
+                  type: "string",
+                  description: "Website or store code, required for the websites and stores scopes",
+                },
+                lock_env: {
+                  type: "boolean",
+                  description: "Write the value to app/etc/env.php instead of the database (config:set --lock-env; default: false)",
+                  default: false,
+                },
+                confirm: {
+                  type: "boolean",
+                  description:
+                    "Confirm a command that the command policy marks as requiring confirmation (default: false)",
+                  default: false,
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_magento_deploy",
+            description:
+              "Show the Magento deploy mode, switch between developer, production and default mode, or run a full build (setup:di:compile, setup:static-content:deploy, cache:clean) as one operation with per-step status, durations and the first error",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+                action: {
+                  type: "string",
+                  enum: ["show", "set_mode", "build"],
+                  description: "What to do (default: show)",
+                  default: "show",
+                },
+                mode: {
+                  type: "string",
+                  enum: ["developer", "production", "default"],
+                  description: "Mode to switch to, for set_mode",
+                },
+                build: {
+                  type: "boolean",
+                  description: "When switching to production, run di:compile and static-content:deploy as separate steps (default: true)",
+                  default: true,
+                },
+                areas: {
+                  type: "array",
+                  description: "Static content areas: frontend and/or adminhtml (default: all)",
+                  items: {
+                    type: "string",
+                    enum: ["frontend", "adminhtml"],
+                  },
+                  default: [],
+                },
+                themes: {
+                  type: "array",
+                  description: "Themes to deploy, e.g. [\"Magento/luma\"] (default: all)",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+                locales: {
+                  type: "array",
+                  description: "Locales to deploy, e.g. [\"en_US\", \"de_DE\"] (default: the locales in use)",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+                jobs: {
+                  type: "number",
+                  description: "Parallel static content deploy jobs (1-32)",
+                },
+                confirm: {
+                  type: "boolean",
+                  description:
+                    "Confirm a command that the command policy marks as requiring confirmation (default: false)",
+                  default: false,
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_magento_cron",
+            description:
+              "Inspect Magento cron through cron_schedule: per-job counts of pending, running, success, error and missed runs over a time window, error messages of failed runs, run one cron group, or mark stuck \"running\" rows as errors",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+                action: {
+                  type: "string",
+                  enum: ["status", "errors", "run", "clean_stuck"],
+                  description: "What to do (default: status)",
+                  default: "status",
+                },
+                hours: {
+                  type: "number",
+                  description: "Time window in hours for status and errors, by scheduled time (default: 24)",
+                  default: 24,
+                },
+                job_codes: {
+                  type: "array",
+                  description: "Only these job codes, e.g. [\"indexer_reindex_all_invalid\"] (default: all)",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+                limit: {
+                  type: "number",
+                  description: "Maximum number of failed runs to return for errors (default: 20)",
+                  default: 20,
+                },
+                group: {
+                  type: "string",
+                  description: "Cron group to run, e.g. default, index or consumers (required for run)",
+                },
+                stuck_minutes: {
+                  type: "number",
+                  description: "A run counts as stuck after this many minutes in running state (default: 60)",
+                  default: 60,
+                },
+                confirm: {
+                  type: "boolean",
+                  description:
+                    "Required for clean_stuck (without it the stuck runs are only listed); also confirms a command that the command policy marks as requiring confirmation (default: false)",
+                  default: false,
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_magento_queues",
+            description:
+              "List Magento message queue consumers with pending and failed message counts per queue (queue_message_status, plus RabbitMQ queue depths when the project runs RabbitMQ), or run one consumer with --max-messages and a time limit and return how many messages it processed",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+                action: {
+                  type: "string",
+                  enum: ["status", "run"],
+                  description: "What to do (default: status)",
+                  default: "status",
+                },
+                consumer: {
+                  type: "string",
+                  description: "Consumer to run, as listed by status, e.g. async.operations.all (required for run)",
+                },
+                max_messages: {
+                  type: "number",
+                  description: "Stop after this many messages (1-10000, default: 100)",
+                  default: 100,
+                },
+                timeout_seconds: {
+                  type: "number",
+                  description: "Stop the consumer after this many seconds (1-1800, default: 120)",
+                  default: 120,
+                },
+                confirm: {
+                  type: "boolean",
+                  description:
+                    "Confirm a command that the command policy marks as requiring confirmation (default: false)",
+                  default: false,
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_magento_logs",
+            description:
+              "Read Magento's var/log files (system.log, exception.log, debug.log) as structured entries with level, channel, message, context and joined stack traces. Filter by minimum level and time range; returns the newest entries first",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+                files: {
+                  type: "array",
+                  description: "Log files in var/log to read (default: system.log, exception.log, debug.log)",
+                  items: {
+                    type: "string",
+                  },
+                },
+                level: {
+                  type: "string",
+                  enum: ["DEBUG", "INFO", "NOTICE", "WARNING", "ERROR", "CRITICAL", "ALERT", "EMERGENCY"],
+                  description: "Minimum level to include (default: all levels)",
+                },
+                since: {
+                  type: "string",
+                  description: "Only entries at or after this ISO timestamp (optional)",
+                },
+                until: {
+                  type: "string",
+                  description: "Only entries at or before this ISO timestamp (optional)",
+                },
+                limit: {
+                  type: "number",
+                  description: "Maximum number of entries to return (default: 50)",
+                  default: 50,
+                },
+                max_bytes: {
+                  type: "integer",
+                  minimum: 1,
+                  description: "Bytes read from the end of each file (default: 2097152)",
+                  default: 2097152,
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_magento_report",
+            description:
+              "Decode a Magento error report from var/report (the 'Error log record number' shown on the storefront) into message, exception class, origin file/line, URL and a trimmed stack trace. Without report_id, lists the most recent reports",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory (or any directory inside it)",
+                },
+                environment: {
+                  type: "string",
+                  description: "RollDev environment name, as shown by rolldev_list_environments (alternative to project_path)",
+                },
+                report_id: {
+                  type: "string",
+                  description: "Report ID / error log record number (optional; omit to list recent reports)",
+                },
+                limit: {
+                  type: "number",
+                  description: "Number of recent reports to list when report_id is omitted (default: 10)",
+                  default: 10,
+                },
+                trace_limit: {
+                  type: "number",
+                  description: "Maximum stack frames to return (default: 20)",
+                  default: 20,
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: "rolldev_magento2_init",
+            description:
+              "Initialize a new Magento 2 project using RollDev's magento2-init command with automatic version configuration",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_name: {
+                  type: "string",
+                  description: "Name of the Magento 2 project (lowercase letters, numbers, and hyphens only)",
+                },
+                magento_version: {
+                  type: "string",
+                  description: "Magento version to install (default: 2.4.x). Examples: 2.4.x, 2.4.7, 2.4.7-p3, 2.4.8",
+                  default: "2.4.x",
+                },
+                target_directory: {
+                  type: "string",
+                  description: "Directory to create project in (optional, defaults to current directory). Project will be created in a subdirectory named after the project.",
+                  default: "",
+                },
+                background: {
+                  type: "boolean",
+                  description:
+                    "Run as a background job and return a job ID immediately (poll with rolldev_job_status / rolldev_job_output)",
+                  default: false,
+                },
+              },
+              required: ["project_name"],
+            },
+          },
+        ],
+      };
+    });
+
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      // Per-call context so command execution can report progress to this caller
+      // and record what it ran for the audit log
+      const context = {
+        server,
+        progressToken: request.params._meta?.progressToken,
+        audit: { project: null, commands: [], logFiles: [] },
+      };
+      const startedAt = new Date();
+      let result = null;
+      let failure = null;
+
+      try {
+        result = await this.requestContext.run(context, () => this.callTool(request));
+        return result;
+      } catch (error) {
+        failure = error;
+        throw error;
+      } finally {
+        this.writeAuditEntry(request, context.audit, startedAt, result, failure);
+      }
+    });
+  }
+
+  async callTool(request) {
+    switch (request.params.name) {
+      case "rolldev_list_environments":
+        return await this.listEnvironments();
+      case "rolldev_start_project":
+        return await this.startProject(request.params.arguments);
+      case "rolldev_stop_project":
+        return await this.stopProject(request.params.arguments);
+      case "rolldev_start_svc":
+        return await this.startSvc(request.params.arguments);
+      case "rolldev_stop_svc":
+        return await this.stopSvc(request.params.arguments);
+      case "rolldev_env_config_get":
+        return await this.getEnvConfig(request.params.arguments);
+      case "rolldev_env_config_set":
+        return await this.setEnvConfig(request.params.arguments);
+      case "rolldev_env_logs":
+        return await this.getContainerLogs(request.params.arguments);
+      case "rolldev_db_query":
+        return await this.runDbQuery(request.params.arguments);
+      case "rolldev_db_list_databases":
+        return await this.listDatabases(request.params.arguments);
+      case "rolldev_db_list_tables":
+        return await this.listTables(request.params.arguments);
+      case "rolldev_db_describe_table":
+        return await this.describeTable(request.params.arguments);
+      case "rolldev_db_snapshot_create":
+        return await this.createDbSnapshot(request.params.arguments);
+      case "rolldev_db_snapshot_list":
+        return await this.listDbSnapshots(request.params.arguments);
+      case "rolldev_db_snapshot_restore":
+        return await this.restoreDbSnapshot(request.params.arguments);
+      case "rolldev_job_status":
+        return await this.getJobStatus(request.params.arguments);
+      case "rolldev_job_output":
+        return await this.getJobOutput(request.params.arguments);
+      case "rolldev_job_list":
+        return await this.listJobs(request.params.arguments);
+      case "rolldev_job_cancel":
+        return await this.cancelJob(request.params.arguments);
+      case "rolldev_logs_list":
+        return await this.listLogs(request.params.arguments);
+      case "rolldev_log_read":
+        return await this.readLog(request.params.arguments);
+      case "rolldev_logs_search":
+        return await this.searchLogs(request.params.arguments);
+      case "rolldev_audit_log":
+        return await this.queryAuditLog(request.params.arguments);
+      case "rolldev_php_script":
+        return await this.runPhpScript(request.params.arguments);
+      case "rolldev_magento_cli":
+        return await this.runMagentoCli(request.params.arguments);
+
+      case "rolldev_composer":
+        return await this.runComposer(request.params.arguments);
+      case "rolldev_magento_cache":
+        return await this.manageMagentoCache(request.params.arguments);
+      case "rolldev_magento_indexers":
+        return await this.manageMagentoIndexers(request.params.arguments);
+      case "rolldev_magento_modules":
+        return await this.manageMagentoModules(request.params.arguments);
+      case "rolldev_magento_config":
+        return await this.manageMagentoConfig(request.params.arguments);
+      case "rolldev_magento_deploy":
+        return await this.manageMagentoDeploy(request.params.arguments);
+      case "rolldev_magento_cron":
+        return await this.manageMagentoCron(request.params.arguments);
+      case "rolldev_magento_queues":
+        return await this.manageMagentoQueues(request.params.arguments);
+      case "rolldev_magento_logs":
+        return await this.readMagentoLogs(request.params.arguments);
+      case "rolldev_magento_report":
+        return await this.readMagentoReport(request.params.arguments);
+      case "rolldev_magento2_init":
+        return await this.magento2Init(request.params.arguments);
+      default:
+        throw new Error(`Unknown tool: ${request.params.name}`);
+    }
+  }
+
+  async listEnvironments() {
+    try {
+      const result = await this.executeCommand(
+        "roll",
+        ["status"],
+        process.cwd(),
+      );
+
+      if (result.code === 0) {
+        const environments = this.parseEnvironmentList(result.stdout);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  success: true,
+                  command: "roll status",
+                  exit_code: result.code,
+                  environments: environments.map((env) => ({
+                    name: env.name,
+                    path: env.path,
+                    url: env.url,
+                    network: env.network,
+                    containers: env.containers,
+                  })),
+                  raw_output: result.stdout,
+                },
+                null,
+                2,
+              ),
+            },
+          ],
+          isError: false,
+        };
+      } else {
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  success: false,
+                  command: "roll status",
+                  exit_code: result.code,
+                  environments: [],
+                  error: result.stderr || "Unknown error",
+                  raw_output: result.stdout,
+                },
+                null,
+                2,
+              ),
+            },
+          ],
+          isError: true,
+        };
+      }
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: false,
+                command: "roll status",
+                exit_code: -1,
+                environments: [],
+                error: error.message,
+                raw_output: error.stdout || "",
+                raw_errors: error.stderr || "",
+              },
+              null,
+              2,
+            ),
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  parseEnvironmentList(output) {
+    const environments = [];
+    const lines = output.split("\n");
+
+    let currentProject = null;
+    let currentPath = null;
+    let currentUrl = null;
+    let currentNetwork = null;
+    let currentContainers = null;
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+
+      // Skip empty lines and headers
+      if (
+        !trimmed ||
+        trimmed.includes("No running environments found") ||
+        trimmed.includes("Found the following") ||
+        trimmed.includes("RollDev Services")
+      ) {
+        continue;
+      }
+
+      // Remove ANSI color codes for parsing
+      const cleanLine = trimmed.replace(/\x1b\[[0-9;]*m/g, "");
+
+      // Look for project name pattern: "ai-demo a magento2 project"
+      const projectMatch = cleanLine.match(/^(\S+)\s+a\s+(\w+)\s+project$/);
+      if (projectMatch) {
+        currentProject = projectMatch[1];
+        continue;
+      }
+
+      // Look for project directory pattern: "Project Directory: /path/to/project"
+      const directoryMatch = cleanLine.match(/^\s*Project Directory:\s*(.+)$/);
+      if (directoryMatch) {
+        currentPath = directoryMatch[1];
+        continue;
+      }
+
+      // Look for project URL pattern: "Project URL: https://app.ai-demo.test"
+      const urlMatch = cleanLine.match(/^\s*Project URL:\s*(.+)$/);
+      if (urlMatch) {
+        currentUrl = urlMatch[1];
+        continue;
+      }
+
+      // Look for docker network pattern: "Docker Network: ai-demo_default"
+      const networkMatch = cleanLine.match(/^\s*Docker Network:\s*(.+)$/);
+      if (networkMatch) {
+        currentNetwork = networkMatch[1];
+        continue;
+      }
+
+      // Look for containers running pattern: "Containers Running: 9"
+      const containersMatch = cleanLine.match(/^\s*Containers Running:\s*(\d+)$/);
+      if (containersMatch && currentProject) {
+        currentContainers = parseInt(containersMatch[1]);
+
+        // Add the environment when we have complete information
+        environments.push({
+          name: currentProject,
+          path: currentPath,
+          url: currentUrl,
+          network: currentNetwork,
+          containers: currentContainers,
+          raw: line,
+        });
+
+        // Reset for next project
+        currentProject = null;
+        currentPath = null;
+        currentUrl = null;
+        currentNetwork = null;
+        currentContainers = null;
+        continue;
+      }
+
+      // Stop parsing when we hit the services section
+      if (cleanLine.includes("NAME") && cleanLine.includes("STATE")) {
+        break;
+      }
+    }
+
+    return environments;
+  }
+
+  /**
+   * Helper function to get environment list for internal use by other tools
+   * Returns a simplified array of {name, path} objects
+   */
+  async getEnvironmentList() {
+    try {
+      const result = await this.executeCommand(
+        "roll",
+        ["status"],
+        process.cwd(),
+      );
+
+      if (result.code === 0) {
+        const environments = this.parseEnvironmentList(result.stdout);
+        return environments.map((env) => ({
+          name: env.name,
+          path: env.path,
+        }));
+      } else {
+        return [];
+      }
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async startProject(args) {
+    return await this.executeRollCommand(
+      args,
+      ["env", "up"],
+      "Starting RollDev project environment",
+    );
+  }
+
+  async stopProject(args) {
+    return await this.executeRollCommand(
+      args,
+      ["env", "down"],
+      "Stopping RollDev project environment",
+    );
+  }
+
+  async startSvc(args) {
+    // System services are global, so any existing directory will do
+    return await this.executeRollCommand(
+      args,
+      ["svc", "up"],
+      "Starting RollDev system services",
+      { requireProject: false },
+    );
+  }
+
+  async stopSvc(args) {
+    // System services are global, so any existing directory will do
+    return await this.executeRollCommand(
+      args,
+      ["svc", "down"],
+      "Stopping RollDev system services",
+      { requireProject: false },
+    );
+  }
+
+  async getEnvConfig(args) {
+    const absoluteProjectPath = await this.resolveProject(args);
+    const file = join(absoluteProjectPath, ".env.roll");
+    const { variables } = this.parseEnvRoll(readFileSync(file, "utf8"));
+
+    return this.jsonResponse({
+      project_path: absoluteProjectPath,
+      file,
+      ...this.summarizeEnvRoll(variables),
+    });
+  }
+
+  async setEnvConfig(args) {
+    const { changes, allow_unknown = false, restart = false } = args;
+    const absoluteProjectPath = await this.resolveProject(args);
+
+    if (!changes || typeof changes !== "object" || Array.isArray(changes) || Object.keys(changes).length === 0) {
+      throw new Error("changes must be an object mapping variable names to values");
+    }
+
+    const file = join(absoluteProjectPath, ".env.roll");
+    const { lines, variables } = this.parseEnvRoll(readFileSync(file, "utf8"));
+
+    const normalized = {};
+    const errors = [];
+    for (const [key, value] of Object.entries(changes)) {
+      try {
+        // Custom variables already in the file may be edited or removed freely
+        normalized[key] = this.normalizeEnvRollValue(key, value, allow_unknown || key in variables);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    if (errors.length > 0) {
+      return this.jsonResponse({ error: "invalid_changes", file, errors }, true);
+    }
+
+    const updated = this.applyEnvRollChanges(lines, variables, normalized);
+
+    if (updated.changed.length > 0) {
+      // Write through a temporary file so a failed write never leaves a truncated .env.roll
+      const partialFile = `${file}.partial`;
+      writeFileSync(partialFile, updated.lines.join("\n"), "utf8");
+      renameSync(partialFile, file);
+    }
+
+    const response = this.jsonResponse({
+      project_path: absoluteProjectPath,
+      file,
+      changed: updated.changed,
+      restarted: restart && updated.changed.length > 0,
+    });
+
+    if (!restart || updated.changed.length === 0) {
+      return response;
+    }
+
+    const projectArgs = { project_path: absoluteProjectPath };
+    const stopResult = await this.stopProject(projectArgs);
+    response.content.push(...stopResult.content);
+
+    if (stopResult.isError) {
+      response.isError = true;
+      return response;
+    }
+
+    const startResult = await this.startProject(projectArgs);
+    response.content.push(...startResult.content);
+    response.isError = Boolean(startResult.isError);
+    return response;
+  }
+
+  async getContainerLogs(args) {
+    const {
+      service,
+      since,
+      tail = 200,
+      filter,
+      follow_seconds = 0,
+      max_entries = 1000,
+    } = args;
+    const absoluteProjectPath = await this.resolveProject(args);
+
+    if (service && !/^[a-z0-9][a-z0-9_.-]*$/i.test(service)) {
+      throw new Error(`Invalid service name: ${service}`);
+    }
+    if (since && !/^[\w:.+-]+$/.test(since)) {
+      throw new Error(`Invalid since value: ${since} (use e.g. 10m, 2h or an ISO timestamp)`);
+    }
+    if (!Number.isInteger(tail) || tail < 0) {
+      throw new Error("tail must be a non-negative integer");
+    }
+    if (!Number.isInteger(max_entries) || max_entries < 1) {
+      throw new Error("max_entries must be a positive integer");
+    }
+
+    let regex = null;
+    if (filter) {
+      try {
+        regex = new RegExp(filter, "i");
+      } catch (error) {
+        throw new Error(`Invalid filter: ${error.message}`);
+      }
+    }
+
+    // Follow mode is bounded so the tool call always returns. --until makes docker compose stop
+    // following by itself; killing roll would not reach the compose process it started
+    const followSeconds = Math.min(Math.max(Number(follow_seconds) || 0, 0), 300);
+    const followUntil = new Date(Date.now() + followSeconds * 1000).toISOString();
+
+    const rollArgs = [
+      "env",
+      "logs",
+      "--no-color",
+      "--timestamps",
+      "--tail",
+      String(tail),
+      ...(since ? ["--since", since] : []),
+      ...(followSeconds > 0 ? ["--follow", "--until", followUntil] : []),
+      ...(service ? [service] : []),
+    ];
+    const commandStr = `roll ${rollArgs.join(" ")}`;
+
+    let stopFollowing = null;
+    const result = await this.executeCommand(
+      "roll",
+      rollArgs,
+      absoluteProjectPath,
+      (followSeconds + 60) * 1000,
+      {
+        onStart: ({ cancel }) => {
+          // Fallback for when the stream does not end at --until
+          if (followSeconds > 0) {
+            stopFollowing = setTimeout(cancel, (followSeconds + 10) * 1000);
+          }
+        },
+      },
+    );
+    clearTimeout(stopFollowing);
+
+    const success = result.code === 0 || Boolean(result.cancelled);
+    const entries = this.parseContainerLogs(result.stdout).filter(
+      (entry) => !regex || regex.test(entry.line),
+    );
+    const truncated = entries.length > max_entries;
+
+    return this.jsonResponse(
+      {
+        success,
+        command: commandStr,
+        exit_code: result.code,
+        timed_out: result.timedOut || false,
+        followed_seconds: followSeconds,
+        entry_count: entries.length,
+        truncated,
+        entries: truncated ? entries.slice(-max_entries) : entries,
+        ...(success ? {} : { error: result.stderr.trim() }),
+      },
+      !success,
+    );
+  }
+
+  /**
+   * Parse `docker compose logs --timestamps` output ("php-fpm-1  | 2024-05-01T10:00:00.000Z line")
+   * @returns {Array} - Entries with service, container, timestamp and line
+   */
+  parseContainerLogs(output) {
+    const entries = [];
+
+    for (const rawLine of output.split("\n")) {
+      // Strip ANSI colors in case the compose version ignores --no-color
+      const line = rawLine.replace(/\x1b\[[0-9;]*m/g, "");
+      const match = line.match(/^(\S+?)\s*\|\s?(.*)$/);
+      if (!match) {
+        continue;
+      }
+
+      const container = match[1];
+      const timestamped = match[2].match(/^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})?) (.*)$/);
+
+      entries.push({
+        service: container.replace(/[-_]\d+$/, ""),
+        container,
+        timestamp: timestamped ? timestamped[1] : null,
+        line: timestamped ? timestamped[2] : match[2],
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Split .env.roll content into lines and locate each variable
+   * @returns {Object} - lines, plus variables mapping name to { value, line }
+   */
+  parseEnvRoll(content) {
+    const lines = content.split("\n");
+    const variables = {};
+
+    lines.forEach((line, index) => {
+      const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+      if (!match) {
+        return;
+      }
+
+      const quoted = match[2].match(/^(["'])(.*)\1$/);
+      variables[match[1]] = {
+        value: quoted ? quoted[2] : match[2],
+        line: index,
+      };
+    });
+
+    return { lines, variables };
+  }
+
+  /**
+   * Group .env.roll variables into environment, domain, services and versions
+   */
+  summarizeEnvRoll(variables) {
+    const definitions = RollDevServer.ENV_ROLL_VARIABLES;
+    const value = (key) => (key in variables ? variables[key].value : null);
+    const typed = {};
+    const services = {};
+    const versions = {};
+
+    for (const [key, { value: raw }] of Object.entries(variables)) {
+      const isBoolean = definitions[key]?.type === "boolean";
+      typed[key] = isBoolean ? raw === "1" || raw.toLowerCase() === "true" : raw;
+
+      if (isBoolean && key.startsWith("ROLL_")) {
+        services[key.slice("ROLL_".length).toLowerCase()] = typed[key];
+      } else if (key.endsWith("_VERSION") && key !== "DB_DISTRIBUTION_VERSION") {
+        versions[key.slice(0, -"_VERSION".length).toLowerCase()] = raw;
+      }
+    }
+
+    const domain = value("TRAEFIK_DOMAIN");
+    const subdomain = value("TRAEFIK_SUBDOMAIN");
+
+    return {
+      env_name: value("ROLL_ENV_NAME"),
+      env_type: value("ROLL_ENV_TYPE"),
+      web_root: value("ROLL_WEB_ROOT"),
+      domain: {
+        domain,
+        subdomain,
+        url: domain ? `https://${subdomain ? `${subdomain}.` : ""}${domain}/` : null,
+      },
+      database: {
+        distribution: value("DB_DISTRIBUTION"),
+        version: value("DB_DISTRIBUTION_VERSION") ?? value("MARIADB_VERSION"),
+      },
+      services,
+      versions,
+      variables: typed,
+      unknown_variables: Object.keys(variables).filter((key) => !(key in definitions)),
+    };
+  }
+
+  /**
+   * Validate a requested .env.roll value and convert it to its file representation
+   * @returns {string|null} - Value to write, or null to remove the variable
+   */
+  normalizeEnvRollValue(key, value, allowUnknown = false) {
+    const definition = RollDevServer.ENV_ROLL_VARIABLES[key];
+
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+      throw new Error(`Invalid variable name: ${key}`);
+    }
+    if (!definition && !allowUnknown) {
+      throw new Error(`Unknown RollDev variable: ${key} (pass allow_unknown: true to set it anyway)`);
+    }
+    if (value === null) {
+      return null;
+    }
+    if (typeof value === "object") {
+      throw new Error(`${key} must be a string, number or boolean`);
+    }
+
+    const text = String(value).trim();
+    if (/[\r\n]/.test(text)) {
+      throw new Error(`${key} must be a single line`);
+    }
+    // Values are written between plain quotes, which have no escape syntax that every reader of .env.roll agrees on
+    if (/["'\\]/.test(text)) {
+      throw new Error(`${key} must not contain quotes or backslashes`);
+    }
+
+    switch (definition?.type) {
+      case "boolean":
+        if ([true, 1, "1", "true"].includes(value)) {
+          return "1";
+        }
+        if ([false, 0, "0", "false"].includes(value)) {
+          return "0";
+        }
+        throw new Error(`${key} must be a boolean (true/false or 1/0)`);
+      case "version":
+        if (!/^\d+(\.\d+)*(-[\w.]+)?$/.test(text)) {
+          throw new Error(`${key} must be a version number such as 8.2, got: ${text}`);
+        }
+        return text;
+      case "enum":
+        if (!definition.values.includes(text)) {
+          throw new Error(`${key} must be one of: ${definition.values.join(", ")}`);
+        }
+        return text;
+      case "name":
+        if (!/^[a-z0-9][a-z0-9_-]*$/i.test(text)) {
+          throw new Error(`${key} may only contain letters, digits, dashes and underscores`);
+        }
+        return text;
+      case "hostname":
+        if (!/^[a-z0-9]([a-z0-9.-]*[a-z0-9])?$/i.test(text)) {
+          throw new Error(`${key} must be a hostname, got: ${text}`);
+        }
+        return text;
+      default:
+        return text;
+    }
+  }
+
+  /**
+   * Apply normalized changes to .env.roll lines, editing variables in place
+   * and appending new ones so comments and ordering survive
+   * @returns {Object} - Updated lines and the list of { key, before, after } changes
+   */
+  applyEnvRollChanges(lines, variables, changes) {
+    const updatedLines = [...lines];
+    const removedLines = new Set();
+    const appendedLines = [];
+    const changed = [];
+
+    for (const [key, after] of Object.entries(changes)) {
+      const existing = variables[key];
+      const before = existing ? existing.value : null;
+
+      if (before === after) {
+        continue;
+      }
+      changed.push({ key, before, after });
+
+      if (after === null) {
+        removedLines.add(existing.line);
+        continue;
+      }
+
+      const needsQuotes = /[\s#]/.test(after);
+      if (existing) {
+        const [, prefix, rawValue] = updatedLines[existing.line].match(/^(\s*(?:export\s+)?[A-Za-z_][A-Za-z0-9_]*\s*=\s*)(.*?)\s*$/);
+        const quote = rawValue.match(/^(["']).*\1$/)?.[1] ?? (needsQuotes ? '"' : "");
+        updatedLines[existing.line] = `${prefix}${quote}${after}${quote}`;
+      } else {
+        appendedLines.push(needsQuotes ? `${key}="${after}"` : `${key}=${after}`);
+      }
+    }
+
+    const result = updatedLines.filter((line, index) => !removedLines.has(index));
+
+    // Keep the trailing newline after appended variables
+    const insertAt = result.length > 0 && result[result.length - 1] === "" ? result.length - 1 : result.length;
+    result.splice(insertAt, 0, ...appendedLines);
+
+    return { lines: result, changed };
+  }
+
+  async runDbQuery(args) {
+    const {
+      query,
+      database,
+      limit = 100,
+      offset = 0,
+      confirm = false,
+      dry_run = false,
+    } = args;
+
+    const absoluteProjectPath = await this.resolveProject(args);
+
+    if (!query) {
+      throw new Error("query is required");
+    }
+
+    const classification = this.classifySqlStatements(query);
+    const nonRead = classification.filter((statement) => statement.type !== "read");
+    const destructive = classification.filter((statement) => statement.destructive);
+    // Only plain DML is undone by the dry run's ROLLBACK; DDL and transaction control commit
+    // implicitly, and statements like KILL, CALL or FLUSH take effect regardless
+    const notPreviewable = nonRead.filter(
+      (statement) => !["INSERT", "UPDATE", "DELETE", "REPLACE"].includes(statement.verb),
+    );
+
+    if (this.dbReadOnly && nonRead.length > 0 && !(dry_run && notPreviewable.length === 0)) {
+      return this.jsonResponse(
+        {
+          success: false,
+          error_type: "read_only",
+          error:
+            "The database tool is in read-only mode; write and DDL statements are not executed. Use dry_run to preview INSERT, UPDATE, DELETE or REPLACE, or start the server with ROLLDEV_DB_READ_ONLY=false to allow writes.",
+          database: database || null,
+          classification,
+        },
+        true,
+      );
+    }
+
+    if (destructive.length > 0 && !confirm && !dry_run) {
+      return this.jsonResponse(
+        {
+          success: false,
+          error_type: "confirmation_required",
+          error:
+            "The query contains destructive statements. Re-run with confirm: true to execute, or dry_run: true to preview affected rows.",
+          database: database || null,
+          classification,
+        },
+        true,
+      );
+    }
+
+    if (dry_run && notPreviewable.length > 0) {
+      return this.jsonResponse(
+        {
+          success: false,
+          error_type: "dry_run_unsupported",
+          error: `Only INSERT, UPDATE, DELETE and REPLACE can be previewed; ${[
+            ...new Set(notPreviewable.map((statement) => statement.verb || "unknown")),
+          ].join(", ")} cannot be rolled back. Nothing was executed.`,
+          database: database || null,
+          classification,
+        },
+        true,
+      );
+    }
+
+    const isDryRun = dry_run && nonRead.length > 0;
+    const sql = isDryRun
+      ? ["START TRANSACTION", ...classification.map((statement) => statement.sql), "ROLLBACK"].join(";\n")
+      : query;
+
+    try {
+      const result = await this.queryDatabase(absoluteProjectPath, sql, database, {
+        readOnly: this.dbReadOnly && !isDryRun,
+      });
+
+      const statements = isDryRun
+        ? result.statements.slice(1, classification.length + 1)
+        : result.statements;
+
+      return this.jsonResponse(
+        {
+          success: result.success,
+          command: result.command,
+          database: database || null,
+          exit_code: result.code,
+          timed_out: result.timedOut || false,
+          read_only_mode: this.dbReadOnly,
+          dry_run: isDryRun,
+          rolled_back: isDryRun,
+          classification,
+          statements: statements.map((statement) =>
+            this.paginateStatementRows(statement, limit, offset),
+          ),
+          errors: result.errors,
+        },
+        !result.success,
+      );
+    } catch (error) {
+      return this.dbErrorResponse(error, database);
+    }
+  }
+
+  /**
+   * Split SQL into statements and label each one as read, write or ddl
+   * Unknown statement types are treated as writes so they never slip through read-only mode
+   * @param {string} query - SQL text, possibly containing several statements
+   * @returns {Array<object>} - { sql, type, verb, destructive, reason } per statement
+   */
+  classifySqlStatements(query) {
+    const readVerbs = ["SELECT", "SHOW", "DESCRIBE", "DESC", "EXPLAIN", "WITH", "HELP", "USE"];
+    const ddlVerbs = ["CREATE", "ALTER", "DROP", "TRUNCATE", "RENAME", "GRANT", "REVOKE"];
+
+    return this.splitSqlStatements(query).map(({ sql, stripped }) => {
+      const normalized = stripped.replace(/\s+/g, " ").trim().toUpperCase();
+      const verb = (normalized.match(/^[A-Z]+/) || [""])[0];
+
+      let type = "write";
+      if (readVerbs.includes(verb)) {
+        type = "read";
+      } else if (ddlVerbs.includes(verb)) {
+        type = "ddl";
+      }
+
+      // SELECT ... INTO OUTFILE and data-modifying CTEs write despite their verb
+      if (
+        type === "read" &&
+        (/\bINTO\s+(OUTFILE|DUMPFILE)\b/.test(normalized) ||
+          (verb === "WITH" && /\b(INSERT|UPDATE|DELETE|REPLACE)\b/.test(normalized)))
+      ) {
+        type = "write";
+      }
+
+      // EXPLAIN ANALYZE (MySQL) and ANALYZE (MariaDB) execute the statement they profile
+      const analyzed = normalized.match(
+        /^(?:(?:EXPLAIN|DESCRIBE|DESC) (?:FORMAT ?= ?\w+ )?ANALYZE|ANALYZE)(?: FORMAT ?= ?\w+)? (INSERT|UPDATE|DELETE|REPLACE)\b/,
+      );
+      if (analyzed) {
+        type = "write";
+      }
+      const dmlVerb = analyzed ? analyzed[1] : verb;
+
+      let destructive = false;
+      let reason = null;
+      if (verb === "DROP" || verb === "TRUNCATE") {
+        destructive = true;
+        reason = `${verb} removes data permanently`;
+      } else if (verb === "ALTER" && /\bDROP\b/.test(normalized)) {
+        destructive = true;
+        reason = "ALTER ... DROP removes columns, indexes or partitions";
+      } else if (
+        (dmlVerb === "DELETE" || dmlVerb === "UPDATE") &&
+        !/\bWHERE\b/.test(normalized) &&
+        !/\bLIMIT\b/.test(normalized)
+      ) {
+        destructive = true;
+        reason = `${dmlVerb} without WHERE or LIMIT affects every row`;
+      }
+
+      return { sql, type, verb, destructive, reason };
+    });
+  }
+
+  /**
+   * Split SQL text on semicolons that are outside quotes and comments
+   * @returns {Array<{sql: string, stripped: string}>} - Original statement text and a
+   *   copy with comments removed and string literals blanked for keyword checks
+   */
+  splitSqlStatements(query) {
+    const statements = [];
+    let sql = "";
+    let stripped = "";
+    let executableComment = false;
+    let i = 0;
+
+    const pushStatement = () => {
+      if (stripped.trim()) {
+        statements.push({ sql: sql.trim(), stripped: stripped.trim() });
+      }
+      sql = "";
+      stripped = "";
+    };
+
+    while (i < query.length) {
+      const char = query[i];
+      const next = query[i + 1];
+
+      if (char === "'" || char === '"' || char === "`") {
+        // Quoted string or identifier, honouring backslash and doubled-quote escapes
+        let end = i + 1;
+        while (end < query.length) {
+          if (query[end] === "\\" && char !== "`") {
+            end += 2;
+            continue;
+          }
+          if (query[end] === char) {
+            if (query[end + 1] === char) {
+              end += 2;
+              continue;
+            }
+            break;
+          }
+          end++;
+        }
+        const literal = query.slice(i, end + 1);
+        sql += literal;
+        stripped += char === "`" ? literal : `${char}${char}`;
+        i = end + 1;
+        continue;
+      }
+
+      if ((char === "-" && next === "-" && /\s/.test(query[i + 2] || " ")) || char === "#") {
+        const end = query.indexOf("\n", i);
+        const stop = end === -1 ? query.length : end;
+        sql += query.slice(i, stop);
+        stripped += " ";
+        i = stop;
+        continue;
+      }
+
+      // MySQL runs the contents of /*! ... */ and /*!40101 ... */ (MariaDB also /*M! ... */),
+      // so only their markers are comments and the text between them is classified as SQL
+      const executableOpener =
+        char === "/" && next === "*" && !executableComment ? query.slice(i, i + 12).match(/^\/\*M?!\d*/) : null;
+      if (executableOpener) {
+        sql += executableOpener[0];
+        stripped += " ";
+        executableComment = true;
+        i += executableOpener[0].length;
+        continue;
+      }
+
+      if (executableComment && char === "*" && next === "/") {
+        sql += "*/";
+        stripped += " ";
+        executableComment = false;
+        i += 2;
+        continue;
+      }
+
+      if (char === "/" && next === "*") {
+        const end = query.indexOf("*/", i + 2);
+        const stop = end === -1 ? query.length : end + 2;
+        sql += query.slice(i, stop);
+        stripped += " ";
+        i = stop;
+        continue;
+      }
+
+      if (char === ";") {
+        pushStatement();
+        i++;
+        continue;
+      }
+
+      sql += char;
+      stripped += char;
+      i++;
+    }
+
+    pushStatement();
+    return statements;
+  }
+
+  async listDatabases(args) {
+    const absoluteProjectPath = await this.resolveProject(args);
+
+    // Schemas that ship with the server rather than belonging to a project
+    const systemDatabases = ["information_schema", "mysql", "performance_schema", "sys"];
+
+    try {
+      const result = await this.queryDatabase(
+        absoluteProjectPath,
+        "SELECT SCHEMA_NAME AS name, DEFAULT_CHARACTER_SET_NAME AS charset, DEFAULT_COLLATION_NAME AS collation FROM information_schema.SCHEMATA ORDER BY SCHEMA_NAME; SELECT DATABASE() AS current_database",
+      );
+
+      const [schemata, current] = result.statements;
+      const currentRows = current ? this.statementRowsToObjects(current) : [];
+
+      return this.jsonResponse(
+        {
+          success: result.success,
+          command: result.command,
+          exit_code: result.code,
+          current_database: currentRows.length > 0 ? currentRows[0].current_database : null,
+          databases: schemata
+            ? this.statementRowsToObjects(schemata).map((row) => ({
+                ...row,
+                system: systemDatabases.includes(row.name),
+              }))
+            : [],
+          errors: result.errors,
+        },
+        !result.success,
+      );
+    } catch (error) {
+      return this.dbErrorResponse(error);
+    }
+  }
+
+  async listTables(args) {
+    const { database, pattern, order_by = "name" } = args;
+    const absoluteProjectPath = await this.resolveProject(args);
+    const schema = database ? this.quoteSqlString(database) : "DATABASE()";
+
+    const query = `SELECT TABLE_NAME AS name, ENGINE AS engine, TABLE_ROWS AS estimated_rows, DATA_LENGTH AS data_size, INDEX_LENGTH AS index_size, DATA_LENGTH + INDEX_LENGTH AS total_size, TABLE_COLLATION AS collation, TABLE_COMMENT AS comment
+FROM information_schema.TABLES
+WHERE TABLE_SCHEMA = ${schema} AND TABLE_TYPE = 'BASE TABLE'${pattern ? ` AND TABLE_NAME LIKE ${this.quoteSqlString(pattern)}` : ""}
+ORDER BY ${order_by === "size" ? "total_size DESC" : "TABLE_NAME"}`;
+
+    try {
+      const result = await this.queryDatabase(absoluteProjectPath, query);
+      const tables = result.statements[0]
+        ? this.statementRowsToObjects(result.statements[0])
+        : [];
+      const totalSize = tables.reduce((sum, table) => sum + (Number(table.total_size) || 0), 0);
+
+      return this.jsonResponse(
+        {
+          success: result.success,
+          command: result.command,
+          exit_code: result.code,
+          database: database || null,
+          table_count: tables.length,
+          total_size: totalSize,
+          total_size_human: this.formatBytes(totalSize),
+          // InnoDB only keeps an estimate of TABLE_ROWS in information_schema
+          row_counts_are_estimates: true,
+          tables: tables.map((table) => ({
+            ...table,
+            total_size_human: this.formatBytes(Number(table.total_size) || 0),
+          })),
+          errors: result.errors,
+        },
+        !result.success,
+      );
+    } catch (error) {
+      return this.dbErrorResponse(error, database);
+    }
+  }
+
+  async describeTable(args) {
+    const { table, database } = args;
+    const absoluteProjectPath = await this.resolveProject(args);
+
+    if (!table) {
+      throw new Error("table is required");
+    }
+
+    const schema = database ? this.quoteSqlString(database) : "DATABASE()";
+    const tableName = this.quoteSqlString(table);
+
+    const query = [
+      `SELECT COLUMN_NAME AS name, COLUMN_TYPE AS type, IS_NULLABLE AS nullable, COLUMN_DEFAULT AS default_value, COLUMN_KEY AS column_key, EXTRA AS extra, COLUMN_COMMENT AS comment FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = ${schema} AND TABLE_NAME = ${tableName} ORDER BY ORDINAL_POSITION`,
+      `SELECT INDEX_NAME AS name, NON_UNIQUE AS non_unique, INDEX_TYPE AS type, COLUMN_NAME AS column_name, SEQ_IN_INDEX AS seq FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = ${schema} AND TABLE_NAME = ${tableName} ORDER BY INDEX_NAME, SEQ_IN_INDEX`,
+      `SELECT k.CONSTRAINT_NAME AS name, k.COLUMN_NAME AS column_name, k.REFERENCED_TABLE_NAME AS referenced_table, k.REFERENCED_COLUMN_NAME AS referenced_column, r.UPDATE_RULE AS on_update, r.DELETE_RULE AS on_delete FROM information_schema.KEY_COLUMN_USAGE k JOIN information_schema.REFERENTIAL_CONSTRAINTS r ON r.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA AND r.CONSTRAINT_NAME = k.CONSTRAINT_NAME WHERE k.TABLE_SCHEMA = ${schema} AND k.TABLE_NAME = ${tableName} AND k.REFERENCED_TABLE_NAME IS NOT NULL ORDER BY k.CONSTRAINT_NAME, k.ORDINAL_POSITION`,
+    ].join(";\n");
+
+    try {
+      const result = await this.queryDatabase(absoluteProjectPath, query);
+      const [columnsStatement, indexesStatement, foreignKeysStatement] = result.statements;
+
+      const columns = columnsStatement
+        ? this.statementRowsToObjects(columnsStatement).map((column) => ({
+            ...column,
+            nullable: column.nullable === "YES",
+          }))
+        : [];
+
+      // STATISTICS has one row per indexed column, group them per index
+      const indexes = [];
+      for (const row of indexesStatement ? this.statementRowsToObjects(indexesStatement) : []) {
+        let index = indexes.find((entry) => entry.name === row.name);
+        if (!index) {
+          index = {
+            name: row.name,
+            primary: row.name === "PRIMARY",
+            unique: Number(row.non_unique) === 0,
+            type: row.type,
+            columns: [],
+          };
+          indexes.push(index);
+        }
+        index.columns.push(row.column_name);
+      }
+
+      const foreignKeys = [];
+      for (const row of foreignKeysStatement ? this.statementRowsToObjects(foreignKeysStatement) : []) {
+        let foreignKey = foreignKeys.find((entry) => entry.name === row.name);
+        if (!foreignKey) {
+          foreignKey = {
+            name: row.name,
+            columns: [],
+            referenced_table: row.referenced_table,
+            referenced_columns: [],
+            on_update: row.on_update,
+            on_delete: row.on_delete,
+          };
+          foreignKeys.push(foreignKey);
+        }
+        foreignKey.columns.push(row.column_name);
+        foreignKey.referenced_columns.push(row.referenced_column);
+      }
+
+      const found = columns.length > 0;
+      const isSuccess = result.success && found;
+
+      return this.jsonResponse(
+        {
+          success: isSuccess,
+          command: result.command,
+          exit_code: result.code,
+          database: database || null,
+          table,
+          columns,
+          indexes,
+          foreign_keys: foreignKeys,
+          errors: found || !result.success
+            ? result.errors
+            : [...result.errors, { message: `Table not found: ${table}` }],
+        },
+        !isSuccess,
+      );
+    } catch (error) {
+      return this.dbErrorResponse(error, database);
+    }
+  }
+
+  /**
+   * Run SQL through `roll db connect` in batch mode and parse every statement
+   * @param {string} absoluteProjectPath - Project directory
+   * @param {string} query - SQL to execute (may contain several statements)
+   * @param {string} database - Database to select (optional)
+   * @param {object} options - { readOnly } to open the session as a read-only transaction
+   * @returns {Promise<object>} - Command result with parsed statements and errors
+   */
+  async queryDatabase(absoluteProjectPath, query, database, { readOnly = false } = {}) {
+    if (database && !/^[A-Za-z0-9_$-]+$/.test(database)) {
+      throw new Error(`Invalid database name: ${database}`);
+    }
+
+    // Batch mode gives tab-separated rows; -vv adds statement echoes and
+    // "Query OK" / "rows in set" status lines so each statement can be split out.
+    // A third -v switches the client to +----+ box tables, even in batch mode
+    const clientArgs = ["--batch", "-vv", "--show-warnings"];
+    if (database) {
+      clientArgs.push(`--database=${database}`);
+    }
+    if (readOnly) {
+      // Let the server reject writes the classifier could not recognise
+      clientArgs.push("--init-command=SET SESSION TRANSACTION READ ONLY");
+    }
+
+    const result = await this.executeCommand(
+      "roll",
+      ["db", "connect", ...clientArgs, "-e", query],
+      absoluteProjectPath,
+    );
+
+    const statements = this.parseMysqlBatchOutput(result.stdout);
+    const errors = this.parseMysqlErrors(result.stderr);
+
+    return {
+      ...result,
+      command: `roll db connect ${clientArgs.join(" ")} -e <query>`,
+      statements,
+      errors,
+      success: result.code === 0 && errors.length === 0,
+    };
+  }
+
+  dbErrorResponse(error, database) {
+    return this.jsonResponse(
+      {
+        success: false,
+        command: "roll db connect",
+        database: database || null,
+        exit_code: -1,
+        errors: [{ message: error.message }],
+        raw_output: error.stdout || "",
+        raw_errors: error.stderr || "",
+      },
+      true,
+    );
+  }
+
+  /**
+   * Turn a parsed statement's column/row arrays into an array of row objects
+   */
+  statementRowsToObjects(statement) {
+    return statement.rows.map((row) =>
+      Object.fromEntries(statement.columns.map((column, index) => [column, row[index]])),
+    );
+  }
+
+  /**
+   * Quote a value as a SQL string literal
+   */
+  quoteSqlString(value) {
+    return `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+  }
+
+  formatBytes(bytes) {
+    const units = ["B", "KB", "MB", "GB", "TB"];
+    let size = bytes;
+    let unit = 0;
+
+    while (size >= 1024 && unit < units.length - 1) {
+      size /= 1024;
+      unit++;
+    }
+
+    return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+  }
+
+  /**
+   * Parse output of `mysql --batch -vv --show-warnings` into one entry per statement
+   * @param {string} output - Client stdout
+   * @returns {Array<object>} - Statements with columns, rows, counts and warnings
+   */
+  parseMysqlBatchOutput(output) {
+    const separator = "--------------";
+    const lines = (output || "").replace(/\r/g, "").split("\n");
+    const statements = [];
+
+    let current = null;
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      // Statement echo: "--------------\n<sql>\n--------------\n\n"
+      if (line === separator) {
+        const sqlLines = [];
+        i++;
+        while (i < lines.length && lines[i] !== separator) {
+          sqlLines.push(lines[i]);
+          i++;
+        }
+        i++;
+        // Skip the blank line mysql prints after the echo
+        if (i < lines.length && lines[i] === "") {
+          i++;
+        }
+
+        current = {
+          statement: sqlLines.join("\n").trim(),
+          columns: [],
+          rows: [],
+          row_count: null,
+          affected_rows: null,
+          info: null,
+          warnings: [],
+        };
+        statements.push(current);
+
+        // Collect header and data rows until a status line
+        const dataLines = [];
+        while (
+          i < lines.length &&
+          lines[i] !== separator &&
+          !this.isMysqlStatusLine(lines[i])
+        ) {
+          dataLines.push(lines[i]);
+          i++;
+        }
+
+        if (dataLines.length > 0 && !(dataLines.length === 1 && dataLines[0] === "")) {
+          current.columns = dataLines[0].split("\t");
+          current.rows = dataLines
+            .slice(1)
+            .map((row) => row.split("\t").map((value) => this.parseMysqlValue(value)));
+        }
+        continue;
+      }
+
+      if (current) {
+        const rowsInSet = line.match(/^(\d+) rows? in set/);
+        if (rowsInSet) {
+          current.row_count = parseInt(rowsInSet[1]);
+        } else if (/^Empty set/.test(line)) {
+          current.row_count = 0;
+        }
+
+        const queryOk = line.match(/^Query OK, (\d+) rows? affected/);
+        if (queryOk) {
+          current.affected_rows = parseInt(queryOk[1]);
+        }
+
+        // e.g. "Rows matched: 3  Changed: 3  Warnings: 0" or "Records: 2  Duplicates: 0  Warnings: 0"
+        if (/^(Rows matched|Records):/.test(line)) {
+          current.info = line.trim();
+        }
+
+        const warning = line.match(/^(Warning|Note|Error) \(Code (\d+)\): (.*)$/);
+        if (warning) {
+          current.warnings.push({
+            level: warning[1],
+            code: parseInt(warning[2]),
+            message: warning[3],
+          });
+        }
+      }
+
+      i++;
+    }
+
+    return statements;
+  }
+
+  isMysqlStatusLine(line) {
+    return (
+      /^\d+ rows? in set/.test(line) ||
+      /^Empty set/.test(line) ||
+      /^Query OK, /.test(line) ||
+      /^(Warning|Note|Error) \(Code \d+\): /.test(line) ||
+      line === "Bye"
+    );
+  }
+
+  /**
+   * Convert a batch-mode field into a typed JSON value
+   * NULL becomes null, plain integers and decimals become numbers when they
+   * survive the conversion without losing precision, everything else stays a string
+   */
+  parseMysqlValue(value) {
+    if (value === "NULL") {
+      return null;
+    }
+
+    const unescaped = value.replace(/\\([\\tn0])/g, (match, char) => {
+      switch (char) {
+        case "t":
+          return "\t";
+        case "n":
+          return "\n";
+        case "0":
+          return "\0";
+        default:
+          return "\\";
+      }
+    });
+
+    if (/^-?(0|[1-9]\d*)$/.test(unescaped)) {
+      const number = Number(unescaped);
+      return Number.isSafeInteger(number) ? number : unescaped;
+    }
+
+    if (/^-?(0|[1-9]\d*)\.\d+$/.test(unescaped) && unescaped.replace(/[-.]/g, "").length <= 15) {
+      return Number(unescaped);
+    }
+
+    return unescaped;
+  }
+
+  /**
+   * Parse mysql client errors ("ERROR 1146 (42S02) at line 1: ...") from stderr
+   */
+  parseMysqlErrors(stderr) {
+    const errors = [];
+
+    for (const line of (stderr || "").replace(/\r/g, "").split("\n")) {
+      const match = line.match(/^ERROR (\d+)(?: \(([0-9A-Z]+)\))?(?: at line (\d+))?: (.*)$/);
+      if (match) {
+        errors.push({
+          code: parseInt(match[1]),
+          sqlstate: match[2] || null,
+          line: match[3] ? parseInt(match[3]) : null,
+          message: match[4],
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Apply limit/offset to a parsed statement's rows so large SELECTs stay small
+   */
+  paginateStatementRows(statement, limit, offset) {
+    const totalRows = statement.rows.length;
+    const rows = statement.rows.slice(offset, offset + limit);
+
+    return {
+      ...statement,
+      rows,
+      total_rows: totalRows,
+      returned_rows: rows.length,
+      offset,
+      truncated: offset + rows.length < totalRows,
+    };
+  }
+
+  async createDbSnapshot(args) {
+    const { name } = args;
+    const absoluteProjectPath = await this.resolveProject(args);
+
+    if (!name || !/^[A-Za-z0-9._-]+$/.test(name)) {
+      throw new Error(
+        "name is required and may only contain letters, numbers, dots, dashes and underscores",
+      );
+    }
+
+    const snapshotDir = join(absoluteProjectPath, RollDevServer.SNAPSHOT_DIR);
+    mkdirSync(snapshotDir, { recursive: true });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const filename = `${name}--${timestamp}.sql.gz`;
+    const filepath = join(snapshotDir, filename);
+    // Write to a partial file so an interrupted dump never looks like a snapshot
+    const partialPath = `${filepath}.partial`;
+    const commandStr = `roll db dump | gzip > ${filepath}`;
+
+    // 30 minute timeout for database dumps (large catalogs take a while)
+    const timeoutMs = 1800000;
+    const startedAt = Date.now();
+
+    const gzip = createGzip();
+    let cancelDump = null;
+    // Stop the dump when the file cannot be written (ENOSPC, EACCES); the error surfaces through Promise.all
+    const written = pipeline(gzip, createWriteStream(partialPath)).catch((error) => {
+      cancelDump?.();
+      throw error;
+    });
+
+    try {
+      const [result] = await Promise.all([
+        this.executeCommand("roll", ["db", "dump"], absoluteProjectPath, timeoutMs, {
+          stdout: gzip,
+          onStart: ({ cancel }) => {
+            cancelDump = cancel;
+          },
+        }),
+        written,
+      ]);
+
+      const isSuccess = result.code === 0;
+      if (isSuccess) {
+        renameSync(partialPath, filepath);
+      } else if (existsSync(partialPath)) {
+        unlinkSync(partialPath);
+      }
+
+      const size = isSuccess ? statSync(filepath).size : 0;
+
+      return this.jsonResponse(
+        {
+          success: isSuccess,
+          command: commandStr,
+          exit_code: result.code,
+          timed_out: result.timedOut || false,
+          duration_ms: Date.now() - startedAt,
+          snapshot: isSuccess
+            ? {
+                name,
+                file: filename,
+                path: filepath,
+                size,
+                size_human: this.formatBytes(size),
+                created_at: new Date(startedAt).toISOString(),
+              }
+            : null,
+          error: isSuccess ? null : result.stderr || "Unknown error",
+        },
+        !isSuccess,
+      );
+    } catch (error) {
+      // A spawn failure never ends the gzip stream; close the file before removing it
+      gzip.destroy();
+      await written.catch(() => {});
+      if (existsSync(partialPath)) {
+        unlinkSync(partialPath);
+      }
+
+      return this.jsonResponse(
+        {
+          success: false,
+          command: commandStr,
+          exit_code: -1,
+          snapshot: null,
+          error: error.message,
+          raw_errors: error.stderr || "",
+        },
+        true,
+      );
+    }
+  }
+
+  async listDbSnapshots(args) {
+    const absoluteProjectPath = await this.resolveProject(args);
+    const snapshotDir = join(absoluteProjectPath, RollDevServer.SNAPSHOT_DIR);
+    const snapshots = this.readDbSnapshots(snapshotDir);
+    const totalSize = snapshots.reduce((sum, snapshot) => sum + snapshot.size, 0);
+
+    return this.jsonResponse({
+      success: true,
+      snapshot_dir: snapshotDir,
+      count: snapshots.length,
+      total_size: totalSize,
+      total_size_human: this.formatBytes(totalSize),
+      snapshots,
+    });
+  }
+
+  async restoreDbSnapshot(args) {
+    const { snapshot, file, confirm = false } = args;
+    const absoluteProjectPath = await this.resolveProject(args);
+
+    if (!snapshot && !file) {
+      throw new Error("Either snapshot or file is required");
+    }
+
+    let sourcePath;
+    if (file) {
+      sourcePath = resolve(absoluteProjectPath, file);
+    } else {
+      const snapshotDir = join(absoluteProjectPath, RollDevServer.SNAPSHOT_DIR);
+      // Snapshots are sorted newest first, so a bare name picks the latest one
+      const match = this.readDbSnapshots(snapshotDir).find(
+        (entry) => entry.file === snapshot || entry.name === snapshot,
+      );
+
+      if (!match) {
+        throw new Error(
+          `Snapshot not found: ${snapshot}. Use rolldev_db_snapshot_list to see available snapshots.`,
+        );
+      }
+      sourcePath = match.path;
+    }
+
+    if (!existsSync(sourcePath)) {
+      throw new Error(`Dump file does not exist: ${sourcePath}`);
+    }
+    if (!statSync(sourcePath).isFile()) {
+      throw new Error(`Dump file is not a regular file: ${sourcePath}`);
+    }
+    // Only import dumps from inside the project (which includes the snapshot directory)
+    const insideProject = relative(realpathSync(absoluteProjectPath), realpathSync(sourcePath));
+    if (insideProject.startsWith("..") || isAbsolute(insideProject)) {
+      throw new Error(`Dump file must be inside the project directory: ${sourcePath}`);
+    }
+
+    // A dump can hold any SQL, so read-only mode only restores the checkpoints this server created
+    const snapshotDir = join(absoluteProjectPath, RollDevServer.SNAPSHOT_DIR);
+    const insideSnapshots = existsSync(snapshotDir)
+      ? relative(realpathSync(snapshotDir), realpathSync(sourcePath))
+      : "..";
+    if (this.dbReadOnly && (insideSnapshots.startsWith("..") || isAbsolute(insideSnapshots))) {
+      return this.jsonResponse(
+        {
+          success: false,
+          error_type: "read_only",
+          error: `The database is in read-only mode, so only snapshots in ${RollDevServer.SNAPSHOT_DIR} can be restored. Start the server with ROLLDEV_DB_READ_ONLY=false to import other dump files.`,
+          source: sourcePath,
+        },
+        true,
+      );
+    }
+
+    if (!confirm) {
+      return this.jsonResponse(
+        {
+          success: false,
+          error_type: "confirmation_required",
+          error:
+            "Restoring replaces the current database contents. Re-run with confirm: true to continue.",
+          source: sourcePath,
+        },
+        true,
+      );
+    }
+
+    const isCompressed = sourcePath.endsWith(".gz");
+    const commandStr = `${isCompressed ? "gunzip -c" : "cat"} ${sourcePath} | roll db import`;
+
+    // 60 minute timeout for imports, which are much slower than dumps
+    const timeoutMs = 3600000;
+    const startedAt = Date.now();
+
+    try {
+      const stdin = new PassThrough();
+      let cancelImport = null;
+      let importFinished = false;
+      let readError = null;
+      // A corrupt archive or unreadable file stops the import instead of crashing the server
+      const streams = [createReadStream(sourcePath), ...(isCompressed ? [createGunzip()] : []), stdin];
+      const streamed = pipeline(...streams).catch((error) => {
+        if (!importFinished) {
+          readError = error;
+          cancelImport?.();
+        }
+      });
+
+      const result = await this.executeCommand("roll", ["db", "import"], absoluteProjectPath, timeoutMs, {
+        stdin,
+        onStart: ({ cancel }) => {
+          cancelImport = cancel;
+        },
+      });
+      // The import may exit before reading everything (e.g. on a SQL error)
+      importFinished = true;
+      stdin.destroy();
+      await streamed;
+
+      if (readError) {
+        return this.jsonResponse(
+          {
+            success: false,
+            command: commandStr,
+            exit_code: result.code,
+            duration_ms: Date.now() - startedAt,
+            source: sourcePath,
+            errors: [{ message: `Could not read ${sourcePath}: ${readError.message}` }],
+            raw_errors: result.stderr,
+          },
+          true,
+        );
+      }
+
+      const errors = this.parseMysqlErrors(result.stderr);
+      const isSuccess = result.code === 0 && errors.length === 0;
+
+      return this.jsonResponse(
+        {
+          success: isSuccess,
+          command: commandStr,
+          exit_code: result.code,
+          timed_out: result.timedOut || false,
+          duration_ms: Date.now() - startedAt,
+          source: sourcePath,
+          errors,
+          raw_errors: isSuccess ? "" : result.stderr,
+        },
+        !isSuccess,
+      );
+    } catch (error) {
+      return this.jsonResponse(
+        {
+          success: false,
+          command: commandStr,
+          exit_code: -1,
+          source: sourcePath,
+          errors: [{ message: error.message }],
+          raw_errors: error.stderr || "",
+        },
+        true,
+      );
+    }
+  }
+
+  /**
+   * Read snapshot files ("<name>--<timestamp>.sql.gz") from a directory, newest first
+   */
+  readDbSnapshots(snapshotDir) {
+    if (!existsSync(snapshotDir)) {
+      return [];
+    }
+
+    return readdirSync(snapshotDir)
+      .map((file) => {
+        const match = file.match(/^(.+)--(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.sql\.gz$/);
+        if (!match) {
+          return null;
+        }
+
+        const path = join(snapshotDir, file);
+        const size = statSync(path).size;
+        // Restore the ISO timestamp that was made filename-safe
+        const createdAt = match[2].replace(
+          /^(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3}Z)$/,
+          "$1:$2:$3.$4",
+        );
+
+        return {
+          name: match[1],
+          file,
+          path,
+          size,
+          size_human: this.formatBytes(size),
+          created_at: createdAt,
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Load the command policy layers for a project: the server policy
+   * (or the built-in default) followed by the project's own policy file
+   * @returns {Array} - Layers of { source, policy }
+   */
+  loadPolicyLayers(absoluteProjectPath) {
+    const layers = [];
+
+    if (this.policyFile) {
+      if (!existsSync(this.policyFile)) {
+        throw new Error(`Policy file does not exist: ${this.policyFile}`);
+      }
+      layers.push({ source: this.policyFile, policy: this.readPolicyFile(this.policyFile) });
+    } else {
+      layers.push({ source: "default", policy: RollDevServer.DEFAULT_POLICY });
+    }
+
+    const projectPolicyFile = join(absoluteProjectPath, RollDevServer.POLICY_FILE);
+    if (existsSync(projectPolicyFile)) {
+      layers.push({ source: projectPolicyFile, policy: this.readPolicyFile(projectPolicyFile) });
+    }
+
+    return layers;
+  }
+
+  /**
+   * Read and validate a policy file
+   */
+  readPolicyFile(file) {
+    let policy;
+    try {
+      policy = JSON.parse(readFileSync(file, "utf8"));
+    } catch (error) {
+      throw new Error(`Invalid policy file ${file}: ${error.message}`);
+    }
+
+    if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+      throw new Error(`Invalid policy file ${file}: expected a JSON object`);
+    }
+
+    for (const [tool, section] of Object.entries(policy)) {
+      if (!["magento", "composer", "php"].includes(tool)) {
+        throw new Error(`Invalid policy file ${file}: unknown section "${tool}" (expected magento, composer or php)`);
+      }
+      for (const [rule, patterns] of Object.entries(section || {})) {
+        if (!["allow", "deny", "confirm"].includes(rule)) {
+          throw new Error(`Invalid policy file ${file}: unknown rule "${tool}.${rule}" (expected allow, deny or confirm)`);
+        }
+        if (!Array.isArray(patterns) || patterns.some((pattern) => typeof pattern !== "string")) {
+          throw new Error(`Invalid policy file ${file}: "${tool}.${rule}" must be an array of strings`);
+        }
+      }
+    }
+
+    return policy;
+  }
+
+  /**
+   * Match a policy pattern against a command line. "*" matches anything, and a
+   * pattern without a trailing "*" also matches the command followed by arguments.
+   */
+  matchPolicyPattern(pattern, command) {
+    const normalizedCommand = command.trim().replace(/\s+/g, " ");
+    const source = pattern
+      .trim()
+      .replace(/\s+/g, " ")
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+
+    return new RegExp(`^${source}( .*)?$`).test(normalizedCommand);
+  }
+
+  /**
+   * Forms of a command to match policy patterns against. bin/magento and Composer are Symfony
+   * console applications, so besides the command as given this includes the command with
+   * leading options moved after its name, and with aliases (rm) and abbreviations
+   * (s:uninstall, setup:uni) expanded to the names the policy patterns use.
+   * @returns {string[]} - Command lines, the original first
+   */
+  policyCommandCandidates(tool, command, layers) {
+    const tokens = command.trim().split(/\s+/).filter(Boolean);
+    if (!["magento", "composer"].includes(tool)) {
+      return [tokens.join(" ")];
+    }
+
+    // Global options may precede the command name; only Composer's working directory takes a value
+    const leading = [];
+    let index = 0;
+    while (index < tokens.length && tokens[index].startsWith("-")) {
+      leading.push(tokens[index]);
+      if (tool === "composer" && ["-d", "--working-dir"].includes(tokens[index]) && index + 1 < tokens.length) {
+        leading.push(tokens[++index]);
+      }
+      index++;
+    }
+    if (index >= tokens.length) {
+      return [tokens.join(" ")];
+    }
+
+    const name = tokens[index];
+    const rest = [...leading, ...tokens.slice(index + 1)];
+
+    // Symfony accepts any name whose colon-separated parts start with the given parts
+    const abbreviation = new RegExp(
+      `^${name
+        .split(":")
+        .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+        .join("[^:]*:")}[^:]*$`,
+      "i",
+    );
+
+    const names = new Set([name]);
+    const targets = layers
+      .flatMap(({ policy }) => ["allow", "deny", "confirm"].flatMap((rule) => policy[tool]?.[rule] || []))
+      .map((pattern) => pattern.trim().split(/\s+/)[0]);
+    const nameParts = name.split(":");
+
+    for (const target of targets) {
+      const namespace = target.match(/^([^:*]+):\*$/);
+      if (!target.includes("*") && abbreviation.test(target)) {
+        names.add(target);
+      } else if (namespace && nameParts.length > 1 && namespace[1].toLowerCase().startsWith(nameParts[0].toLowerCase())) {
+        // An abbreviated namespace, matched against "cache:*"-style patterns
+        names.add([namespace[1], ...nameParts.slice(1)].join(":"));
+      }
+    }
+    if (tool === "composer") {
+      for (const [alias, target] of Object.entries(RollDevServer.COMPOSER_ALIASES)) {
+        if (abbreviation.test(alias)) {
+          names.add(target);
+        }
+      }
+    }
+
+    return [tokens.join(" "), ...[...names].map((candidate) => [candidate, ...rest].join(" "))];
+  }
+
+  /**
+   * Check a command against the policy before running it
+   * @param {string} tool - Policy section: magento, composer or php
+   * @returns {Object|null} - Error response when the policy blocks the command
+   */
+  checkCommandPolicy(absoluteProjectPath, tool, command, confirm = false) {
+    // bin/magento run as a PHP script must also pass the magento section
+    if (tool === "php") {
+      const [script = "", ...scriptArgs] = command.trim().split(/\s+/);
+      if (/(^|\/)bin\/magento$/.test(posix.normalize(script))) {
+        const magentoError = this.checkCommandPolicy(absoluteProjectPath, "magento", scriptArgs.join(" "), confirm);
+        if (magentoError) {
+          return magentoError;
+        }
+      }
+    }
+
+    const layers = this.loadPolicyLayers(absoluteProjectPath);
+    const candidates = this.policyCommandCandidates(tool, command, layers);
+    const matches = (pattern) => candidates.some((candidate) => this.matchPolicyPattern(pattern, candidate));
+    const violation = (rule, pattern, source, message) =>
+      this.jsonResponse(
+        {
+          success: false,
+          error_type: rule === "confirm" ? "confirmation_required" : "policy_violation",
+          error: message,
+          tool,
+          command,
+          rule,
+          pattern,
+          policy: source,
+        },
+        true,
+      );
+
+    // Every layer must allow the command, so a project policy can only tighten the server policy
+    for (const { source, policy } of layers) {
+      const section = policy[tool] || {};
+
+      const denied = (section.deny || []).find(matches);
+      if (denied) {
+        return violation("deny", denied, source, `The command policy denies ${tool} command "${command}" (pattern "${denied}").`);
+      }
+
+      const allow = section.allow || [];
+      if (allow.length > 0 && !allow.some(matches)) {
+        return violation("allow", null, source, `${tool} command "${command}" is not in the command policy's allow list.`);
+      }
+    }
+
+    if (!confirm) {
+      for (const { source, policy } of layers) {
+        const pattern = (policy[tool]?.confirm || []).find(matches);
+        if (pattern) {
+          return violation(
+            "confirm",
+            pattern,
+            source,
+            `The command policy requires confirmation for ${tool} command "${command}" (pattern "${pattern}"). Re-run with confirm: true to execute.`,
+          );
+        }
+      }
+    }
+
+    return null;
+  }
+
+  async runPhpScript(args) {
+    const { script_path, args: scriptArgs = [], confirm = false } = args;
+    const absoluteProjectPath = await this.resolveProject(args);
+
+    const policyError = this.checkCommandPolicy(
+      absoluteProjectPath,
+      "php",
+      [script_path, ...scriptArgs].join(" "),
+      confirm,
+    );
+    if (policyError) {
+      return policyError;
+    }
+
+    const rollCommand = [
+      "cli",
+      "php",
+      script_path,
+      ...scriptArgs,
+    ];
+
+    return await this.executeRollCommand(
+      { project_path: absoluteProjectPath },
+      rollCommand,
+      `Running PHP script: ${script_path}`,
+    );
+  }
+
+  async runMagentoCli(args) {
+    const {
+      command,
+      args: commandArgs = [],
+      save_output_to_file = false,
+      background = false,
+      confirm = false,
+    } = args;
+    const absoluteProjectPath = await this.resolveProject(args);
+
+    const policyError = this.checkCommandPolicy(
+      absoluteProjectPath,
+      "magento",
+      [command, ...commandArgs].join(" "),
+      confirm,
+    );
+    if (policyError) {
+      return policyError;
+    }
+
+    const rollCommand = [
+      "magento",
+      command,
+      ...commandArgs,
+    ];
+
+    // 5 minute timeout for most Magento commands
+    const timeoutMs = 300000;
+
+    return await this.executeRollCommand(
+      { project_path: absoluteProjectPath },
+      rollCommand,
+      `Running Magento CLI: roll magento ${command}`,
+      { timeoutMs, saveToFile: save_output_to_file, background },
+    );
+  }
+
+
+
+  async runComposer(args) {
+    const { command, save_output_to_file = false, background = false, confirm = false } = args;
+
+    const absoluteProjectPath = await this.resolveProject(args);
+
+    if (!command) {
+      throw new Error("command is required");
+    }
+
+    const policyError = this.checkCommandPolicy(absoluteProjectPath, "composer", command, confirm);
+    if (policyError) {
+      return policyError;
+    }
+
+    try {
+      // Parse the command string to handle arguments properly
+      const commandParts = command.trim().split(/\s+/);
+      const rollCommand = [
+        "composer",
+        ...commandParts,
+      ];
+
+      // 10 minute timeout for composer operations (can be slow)
+      const timeoutMs = 600000;
+
+      if (background) {
+        const job = await this.executeCommand(
+          "roll",
+          rollCommand,
+          absoluteProjectPath,
+          timeoutMs,
+          {
+            background: true,
+            description: `Running Composer: roll composer ${command}`,
+            saveToFile: save_output_to_file,
+          },
+        );
+        return this.jobStartedResponse(job);
+      }
+
+      const result = await this.executeCommand(
+        "roll",
+        rollCommand,
+        absoluteProjectPath,
+        timeoutMs,
+      );
+
+      const commandStr = `roll composer ${command}`;
+      const isSuccess = result.code === 0;
+
+      // Saved to a file when requested, or automatically when over the output budget
+      const output = this.formatCommandOutput(
+        result.stdout,
+        result.stderr,
+        commandStr,
+        absoluteProjectPath,
+        save_output_to_file,
+      );
+
+      const responseText = `Composer command ${isSuccess ? "completed successfully" : "failed"}!
+
+Command: ${commandStr}
+Working directory: ${absoluteProjectPath}
+Exit Code: ${result.code}${result.timedOut ? " (TIMED OUT)" : ""}
+
+${output}`;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: responseText,
+          },
+        ],
+        isError: !isSuccess,
+      };
+    } catch (error) {
+      const commandStr = `roll composer ${command}`;
+
+      // Save error output to file only when explicitly requested
+      const logFilePath = save_output_to_file
+        ? this.saveOutputToFile(error.stdout, error.stderr, commandStr, absoluteProjectPath)
+        : null;
+
+      let responseText;
+      if (logFilePath) {
+        responseText = `Failed to execute Composer command:
+
+Command: ${commandStr}
+Working directory: ${absoluteProjectPath}
+Error: ${error.message}
+
+📁 Full output saved to file:
+${logFilePath}`;
+      } else {
+        responseText = `Failed to execute Composer command:
+
+Command: ${commandStr}
+Working directory: ${absoluteProjectPath}
+Error: ${error.message}
+
+Output:
+${error.stdout || "(no output)"}
+
+Errors:
+${error.stderr || "(no errors)"}`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: responseText,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  /**
+   * Run one bin/magento command for a structured tool and capture its outcome
+   * @param {string[]} commandArgs - Magento command and arguments
+   * @returns {Promise<Object>} - command, exit code, timeout flag, success and output tail
+   */
+  async runMagentoStep(absoluteProjectPath, commandArgs, timeoutMs = 300000) {
+    const result = await this.executeCommand(
+      "roll",
+      ["magento", ...commandArgs],
+      absoluteProjectPath,
+      timeoutMs,
+    );
+    const output = `${result.stdout}${result.stderr}`.trim();
+    const outputLimit = 4000;
+
+    return {
+      command: `roll magento ${commandArgs.join(" ")}`,
+      exit_code: result.code,
+      timed_out: result.timedOut || false,
+      success: result.code === 0,
+      output: output.length > outputLimit ? output.slice(-outputLimit) : output,
+      output_truncated: output.length > outputLimit,
+      stdout: result.stdout,
+    };
+  }
+
+  /**
+   * Serialize a step for a JSON response (without the raw stdout used for parsing)
+   */
+  describeStep({ stdout, ...step }) {
+    return step;
+  }
+
+  async manageMagentoCache(args) {
+    const { action = "status", types = [], purge_varnish = false, confirm = false } = args;
+    const absoluteProjectPath = await this.resolveProject(args);
+
+    if (!["status", "enable", "disable", "clean", "flush"].includes(action)) {
+      throw new Error("action must be one of: status, enable, disable, clean, flush");
+    }
+
+    const statusStep = await this.runMagentoStep(absoluteProjectPath, ["cache:status"], 120000);
+    if (!statusStep.success) {
+      return this.jsonResponse({ success: false, error: "cache:status failed", step: this.describeStep(statusStep) }, true);
+    }
+    const before = this.parseCacheStatus(statusStep.stdout);
+
+    if (action === "status") {
+      return this.jsonResponse({
+        success: true,
+        cache_types: before,
+        enabled_count: before.filter((cache) => cache.enabled).length,
+        disabled_count: before.filter((cache) => !cache.enabled).length,
+      });
+    }
+
+    const known = before.map((cache) => cache.type);
+    const unknown = types.filter((type) => !known.includes(type));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown cache type(s): ${unknown.join(", ")}. Known types: ${known.join(", ")}`);
+    }
+
+    const commandArgs = [`cache:${action}`, ...types];
+    const policyError = this.checkCommandPolicy(absoluteProjectPath, "magento", commandArgs.join(" "), confirm);
+    if (policyError) {
+      return policyError;
+    }
+
+    const actionStep = await this.runMagentoStep(absoluteProjectPath, commandArgs, 300000);
+    const afterStep = await this.runMagentoStep(absoluteProjectPath, ["cache:status"], 120000);
+    const after = afterStep.success ? this.parseCacheStatus(afterStep.stdout) : null;
+
+    const changed = after
+      ? after
+          .map((cache) => ({
+            type: cache.type,
+            before: before.find((previous) => previous.type === cache.type)?.enabled ?? null,
+            after: cache.enabled,
+          }))
+          .filter((cache) => cache.before !== cache.after)
+      : null;
+
+    let varnish = null;
+    if (purge_varnish && actionStep.success) {
+      varnish = await this.purgeVarnish(absoluteProjectPath);
+    }
+
+    const success = actionStep.success && afterStep.success && (!varnish || varnish.success || varnish.skipped);
+
+    return this.jsonResponse(
+      {
+        success,
+        action,
+        types: types.length > 0 ? types : "all",
+        step: this.describeStep(actionStep),
+        before,
+        after,
+        changed,
+        varnish,
+      },
+      !success,
+    );
+  }
+
+  /**
+   * Parse `bin/magento cache:status` ("   config: 1") into cache types
+   */
+  parseCacheStatus(output) {
+    const caches = [];
+
+    for (const line of output.split("\n")) {
+      const match = line.match(/^\s*([a-z0-9_]+): ([01])\s*$/);
+      if (match) {
+        caches.push({ type: match[1], enabled: match[2] === "1" });
+      }
+    }
+
+    return caches;
+  }
+
+  /**
+   * Ban every cached URL in Varnish when the project runs with ROLL_VARNISH=1
+   */
+  async purgeVarnish(absoluteProjectPath) {
+    const envFile = join(absoluteProjectPath, ".env.roll");
+    const { variables } = existsSync(envFile)
+      ? this.parseEnvRoll(readFileSync(envFile, "utf8"))
+      : { variables: {} };
+
+    if (!["1", "true"].includes(variables.ROLL_VARNISH?.value)) {
+      return { skipped: true, reason: "Varnish is not enabled for this project (ROLL_VARNISH in .env.roll)" };
+    }
+
+    const rollArgs = ["env", "exec", "-T", "varnish", "varnishadm", "ban req.url ~ ."];
+    const result = await this.executeCommand("roll", rollArgs, absoluteProjectPath, 60000);
+
+    return {
+      skipped: false,
+      command: `roll env exec -T varnish varnishadm "ban req.url ~ ."`,
+      exit_code: result.code,
+      success: result.code === 0,
+      output: `${result.stdout}${result.stderr}`.trim(),
+    };
+  }
+
+  async manageMagentoIndexers(args) {
+    const { action = "status", indexers = [], mode, confirm = false } = args;
+    const absoluteProjectPath = await this.resolveProject(args);
+
+    if (!["status", "reindex", "set_mode", "reset"].includes(action)) {
+      throw new Error("action must be one of: status, reindex, set_mode, reset");
+    }
+    if (action === "set_mode" && !["realtime", "schedule"].includes(mode)) {
+      throw new Error("mode must be realtime or schedule for set_mode");
+    }
+
+    const before = await this.readIndexerStatus(absoluteProjectPath);
+    if (!before.success) {
+      return this.jsonResponse({ success: false, error: "indexer:status failed", step: before.step }, true);
+    }
+
+    if (action === "status") {
+      return this.jsonResponse({ success: true, indexers: before.indexers });
+    }
+
+    const known = before.indexers.map((indexer) => indexer.id);
+    const unknown = indexers.filter((id) => !known.includes(id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown indexer(s): ${unknown.join(", ")}. Known indexers: ${known.join(", ")}`);
+    }
+
+    // Reset defaults to the indexers that are invalid or stuck processing
+    let targets = indexers;
+    if (action === "reset" && targets.length === 0) {
+      targets = before.indexers.filter((indexer) => indexer.status_code !== "valid").map((indexer) => indexer.id);
+      if (targets.length === 0) {
+        return this.jsonResponse({ success: true, message: "No invalid indexers to reset", indexers: before.indexers });
+      }
+    }
+    if (action === "reindex" && targets.length === 0) {
+      targets = known;
+    }
+
+    const commands =
+      action === "reindex"
+        ? targets.map((id) => ["indexer:reindex", id])
+        : action === "set_mode"
+          ? [["indexer:set-mode", mode, ...targets]]
+          : [["indexer:reset", ...targets]];
+
+    for (const commandArgs of commands) {
+      const policyError = this.checkCommandPolicy(absoluteProjectPath, "magento", commandArgs.join(" "), confirm);
+      if (policyError) {
+        return policyError;
+      }
+    }
+
+    // Reindex one indexer at a time so each gets its own timing
+    const steps = [];
+    for (const commandArgs of commands) {
+      const startedAt = Date.now();
+      const step = await this.runMagentoStep(absoluteProjectPath, commandArgs, 1800000);
+      steps.push({
+        ...(action === "reindex" ? { indexer: commandArgs[1] } : {}),
+        ...this.describeStep(step),
+        duration_ms: Date.now() - startedAt,
+      });
+
+      if (!step.success) {
+        break;
+      }
+    }
+
+    const after = await this.readIndexerStatus(absoluteProjectPath);
+    const success = steps.every((step) => step.success) && steps.length === commands.length;
+
+    return this.jsonResponse(
+      {
+        success,
+        action,
+        indexers: targets,
+        ...(action === "set_mode" ? { mode } : {}),
+        steps,
+        before: before.indexers,
+        after: after.success ? after.indexers : null,
+      },
+      !success,
+    );
+  }
+
+  /**
+   * Read indexer state from indexer:status, falling back to indexer:info and
+   * indexer:show-mode on Magento versions without the status table
+   */
+  async readIndexerStatus(absoluteProjectPath) {
+    const statusStep = await this.runMagentoStep(absoluteProjectPath, ["indexer:status"], 120000);
+    if (!statusStep.success) {
+      return { success: false, step: this.describeStep(statusStep) };
+    }
+
+    const table = this.parseCliTable(statusStep.stdout);
+    if (table.length > 0) {
+      return { success: true, indexers: table.map((row) => this.normalizeIndexerRow(row)) };
+    }
+
+    const infoStep = await this.runMagentoStep(absoluteProjectPath, ["indexer:info"], 120000);
+    const modeStep = await this.runMagentoStep(absoluteProjectPath, ["indexer:show-mode"], 120000);
+    const titles = this.parseIndexerInfo(infoStep.stdout);
+    const statuses = this.parseTitledLines(statusStep.stdout);
+    const modes = this.parseTitledLines(modeStep.stdout);
+
+    return {
+      success: true,
+      indexers: titles.map(({ id, title }) =>
+        this.normalizeIndexerRow({
+          id,
+          title,
+          status: statuses[title] ?? null,
+          "update on": (modes[title] || "").replace(/^Update (on|by) /i, ""),
+        }),
+      ),
+    };
+  }
+
+  /**
+   * Parse a Symfony console table into rows keyed by lower-cased header
+   */
+  parseCliTable(output) {
+    const rows = output
+      .split("\n")
+      .filter((line) => line.trim().startsWith("|"))
+      .map((line) => line.trim().slice(1, -1).split("|").map((cell) => cell.trim()));
+
+    if (rows.length < 2) {
+      return [];
+    }
+
+    const headers = rows[0].map((header) => header.toLowerCase());
+    return rows.slice(1).map((cells) =>
+      Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? ""])),
+    );
+  }
+
+  /**
+   * Parse indexer:info ("catalog_product_price    Product Price") into ids and titles
+   */
+  parseIndexerInfo(output) {
+    return output
+      .split("\n")
+      .map((line) => line.match(/^([a-z0-9_]+)\s{2,}(.+?)\s*$/))
+      .filter(Boolean)
+      .map((match) => ({ id: match[1], title: match[2] }));
+  }
+
+  /**
+   * Parse "Title:   value" lines from older indexer:status and indexer:show-mode output
+   */
+  parseTitledLines(output) {
+    const values = {};
+    for (const line of output.split("\n")) {
+      const match = line.match(/^(.+?):\s+(.+?)\s*$/);
+      if (match) {
+        values[match[1].trim()] = match[2];
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Turn a status row (from the table or the legacy output) into an indexer entry
+   */
+  normalizeIndexerRow(row) {
+    const status = row.status || null;
+    const updateOn = (row["update on"] || "").toLowerCase();
+    const schedule = row["schedule status"] || "";
+    const backlog = schedule.match(/\((\d+) in backlog\)/);
+
+    let statusCode = "unknown";
+    if (/^ready|^valid/i.test(status || "")) {
+      statusCode = "valid";
+    } else if (/reindex required|invalid/i.test(status || "")) {
+      statusCode = "invalid";
+    } else if (/processing|working/i.test(status || "")) {
+      statusCode = "working";
+    }
+
+    return {
+      id: row.id,
+      title: row.title,
+      status,
+      status_code: statusCode,
+      mode: updateOn.includes("schedule") ? "schedule" : updateOn.includes("save") ? "realtime" : null,
+      schedule: schedule
+        ? {
+            state: schedule.replace(/\s*\(.*\)\s*$/, "") || null,
+            backlog: backlog ? Number(backlog[1]) : null,
+          }
+        : null,
+      updated_at: row["schedule updated"] || row.updated || null,
+    };
+  }
+
+  async manageMagentoModules(args) {
+    const { action = "status", modules = [], include_dependencies = false, follow_up = false, confirm = false } = args;
+    const absoluteProjectPath = await this.resolveProject(args);
+
+    if (!["status", "enable", "disable"].includes(action)) {
+      throw new Error("action must be one of: status, enable, disable");
+    }
+    if (action !== "status" && modules.length === 0) {
+      throw new Error(`modules is required for ${action}`);
+    }
+
+    const before = await this.readModuleStatus(absoluteProjectPath);
+    if (!before.success) {
+      return this.jsonResponse({ success: false, error: "module:status failed", step: before.step }, true);
+    }
+
+    const known = [...before.enabled, ...before.disabled];
+    const unknown = modules.filter((name) => !known.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown module(s): ${unknown.join(", ")}. Run with action "status" to list installed modules`);
+    }
+
+    if (action === "status" && modules.length === 0) {
+      return this.jsonResponse({
+        success: true,
+        enabled: before.enabled,
+        disabled: before.disabled,
+        enabled_count: before.enabled.length,
+        disabled_count: before.disabled.length,
+      });
+    }
+
+    const declarations = await this.readModuleDeclarations(absoluteProjectPath);
+    const isEnabled = (name) => (before.enabled.includes(name) ? true : before.disabled.includes(name) ? false : null);
+    const describeModule = (name) => ({
+      name,
+      enabled: isEnabled(name),
+      declared_in: declarations[name]?.path ?? null,
+      depends_on: (declarations[name]?.sequence ?? []).map((dependency) => ({
+        name: dependency,
+        enabled: isEnabled(dependency),
+      })),
+      required_by: Object.keys(declarations)
+        .filter((other) => declarations[other].sequence.includes(name))
+        .map((other) => ({ name: other, enabled: isEnabled(other) })),
+    });
+
+    if (action === "status") {
+      return this.jsonResponse({ success: true, modules: modules.map(describeModule) });
+    }
+
+    // Enabling needs the disabled modules they depend on; disabling breaks the enabled modules depending on them
+    const related =
+      action === "enable"
+        ? this.collectModuleClosure(modules, (name) => declarations[name]?.sequence ?? []).filter((name) =>
+            before.disabled.includes(name),
+          )
+        : this.collectModuleClosure(modules, (name) =>
+            Object.keys(declarations).filter((other) => declarations[other].sequence.includes(name)),
+          ).filter((name) => before.enabled.includes(name));
+
+    if (related.length > 0 && !include_dependencies) {
+      return this.jsonResponse(
+        {
+          success: false,
+          error:
+            action === "enable"
+              ? `Disabled dependencies must be enabled too: ${related.join(", ")}. Set include_dependencies to enable them`
+              : `Enabled modules depend on these modules: ${related.join(", ")}. Set include_dependencies to disable them too`,
+          action,
+          modules: modules.map(describeModule),
+          blocked_by: related,
+        },
+        true,
+      );
+    }
+
+    const targets = [...new Set([...modules, ...related])].filter((name) =>
+      action === "enable" ? before.disabled.includes(name) : before.enabled.includes(name),
+    );
+    if (targets.length === 0) {
+      return this.jsonResponse({
+        success: true,
+        message: `All requested modules are already ${action}d`,
+        modules: modules.map(describeModule),
+      });
+    }
+
+    const commands = [[`module:${action}`, ...targets]];
+    if (follow_up) {
+      commands.push(["setup:upgrade"], ["setup:di:compile"], ["cache:clean"]);
+    }
+
+    for (const commandArgs of commands) {
+      const policyError = this.checkCommandPolicy(absoluteProjectPath, "magento", commandArgs.join(" "), confirm);
+      if (policyError) {
+        return policyError;
+      }
+    }
+
+    // Each follow-up step depends on the one before it, so stop at the first failure
+    const steps = [];
+    for (const commandArgs of commands) {
+      const startedAt = Date.now();
+      const step = await this.runMagentoStep(absoluteProjectPath, commandArgs, 1800000);
+      steps.push({ ...this.describeStep(step), duration_ms: Date.now() - startedAt });
+
+      if (!step.success) {
+        break;
+      }
+    }
+
+    const after = await this.readModuleStatus(absoluteProjectPath);
+    const success = steps.length === commands.length && steps.every((step) => step.success);
+    const changed = after.success
+      ? targets.filter((name) => after.enabled.includes(name) === (action === "enable"))
+      : null;
+
+    return this.jsonResponse(
+      {
+        success,
+        action,
+        modules: targets,
+        ...(related.length > 0 ? { included_dependencies: related } : {}),
+        steps,
+        changed,
+        skipped_steps: commands.slice(steps.length).map((commandArgs) => `roll magento ${commandArgs.join(" ")}`),
+      },
+      !success,
+    );
+  }
+
+  /**
+   * Read enabled and disabled module names from module:status
+   */
+  async readModuleStatus(absoluteProjectPath) {
+    const step = await this.runMagentoStep(absoluteProjectPath, ["module:status"], 120000);
+    if (!step.success) {
+      return { success: false, step: this.describeStep(step) };
+    }
+
+    return { success: true, ...this.parseModuleStatus(step.stdout) };
+  }
+
+  /**
+   * Parse module:status ("List of enabled modules:" followed by one name per line, "None" when empty)
+   */
+  parseModuleStatus(output) {
+    const lists = { enabled: [], disabled: [] };
+    let current = null;
+
+    for (const line of output.split("\n")) {
+      const heading = line.match(/^List of (enabled|disabled) modules:/i);
+      if (heading) {
+        current = lists[heading[1].toLowerCase()];
+      } else if (current && /^[A-Za-z0-9]+_[A-Za-z0-9_]+$/.test(line.trim())) {
+        current.push(line.trim());
+      }
+    }
+
+    return lists;
+  }
+
+  /**
+   * Read every etc/module.xml under app/code and vendor, from the host when vendor/
+   * is there or else from the php-fpm container
+   * @returns {Promise<Object>} - Module name to { path, sequence }
+   */
+  async readModuleDeclarations(absoluteProjectPath) {
+    const files = [];
+
+    if (existsSync(join(absoluteProjectPath, "vendor", "magento"))) {
+      for (const root of [join("app", "code"), "vendor"]) {
+        const rootPath = join(absoluteProjectPath, root);
+        if (!existsSync(rootPath)) {
+          continue;
+        }
+
+        for (const vendor of readdirSync(rootPath, { withFileTypes: true })) {
+          if (!vendor.isDirectory()) {
+            continue;
+          }
+          for (const moduleDir of readdirSync(join(rootPath, vendor.name), { withFileTypes: true })) {
+            if (!moduleDir.isDirectory()) {
+              continue;
+            }
+            for (const relative of [join("etc", "module.xml"), join("src", "etc", "module.xml")]) {
+              const path = join(root, vendor.name, moduleDir.name, relative);
+              if (existsSync(join(absoluteProjectPath, path))) {
+                files.push({ path, content: readFileSync(join(absoluteProjectPath, path), "utf8") });
+              }
+            }
+          }
+        }
+      }
+    } else {
+      const script =
+        'find app/code vendor -mindepth 4 -maxdepth 5 -path "*/etc/module.xml" 2>/dev/null | ' +
+        'while read -r f; do printf "==> %s <==\\n" "$f"; cat "$f"; echo; done';
+      const result = await this.executeCommand("roll", ["cli", "sh", "-c", script], absoluteProjectPath, 120000);
+
+      const sections = result.stdout.split(/^==> (.+) <==$/m);
+      for (let i = 1; i < sections.length; i += 2) {
+        files.push({ path: sections[i], content: sections[i + 1] });
+      }
+    }
+
+    const declarations = {};
+    for (const { path, content } of files) {
+      const declaration = this.parseModuleXml(content);
+      if (declaration) {
+        declarations[declaration.name] = { path, sequence: declaration.sequence };
+      }
+    }
+    return declarations;
+  }
+
+  /**
+   * Parse a module.xml into the module name and the modules listed in its <sequence>
+   */
+  parseModuleXml(content) {
+    const xml = content.replace(/<!--[\s\S]*?-->/g, "");
+    const name = xml.match(/<module\b[^>]*\bname="([^"]+)"/);
+    if (!name) {
+      return null;
+    }
+
+    const sequence = xml.match(/<sequence>([\s\S]*?)<\/sequence>/);
+    return {
+      name: name[1],
+      sequence: sequence ? [...sequence[1].matchAll(/<module\b[^>]*\bname="([^"]+)"/g)].map((match) => match[1]) : [],
+    };
+  }
+
+  /**
+   * Follow edges from the given modules and return every module reached (excluding the starting ones)
+   * @param {Function} next - Module name to the names it leads to
+   */
+  collectModuleClosure(modules, next) {
+    const seen = new Set(modules);
+    const queue = [...modules];
+    const reached = [];
+
+    while (queue.length > 0) {
+      for (const name of next(queue.shift())) {
+        if (!seen.has(name)) {
+          seen.add(name);
+          reached.push(name);
+          queue.push(name);
+        }
+      }
+    }
+
+    return reached;
+  }
+
+  async manageMagentoConfig(args) {
+    const {
+      action = "get",
+      paths = [],
+      path,
+      value,
+      scope = "default",
+      scope_code,
+      lock_env = false,
+      confirm = false,
+    } = args;
+    const absoluteProjectPath = await this.resolveProject(args);
+
+    if (!["get", "set", "unset"].includes(action)) {
+      throw new Error("action must be one of: get, set, unset");
+    }
+    if (!["default", "websites", "stores"].includes(scope)) {
+      throw new Error("scope must be one of: default, websites, stores");
+    }
+    if (scope !== "default" && !scope_code) {
+      throw new Error(`scope_code is required for scope ${scope}`);
+    }
+
+    const configPath = /^[A-Za-z0-9_-]+(\/[A-Za-z0-9_-]+)*$/;
+    if (action === "get") {
+      if (paths.length === 0 || paths.length > 20) {
+        throw new Error("paths must list between 1 and 20 config paths or prefixes");
+      }
+      const invalid = paths.filter((candidate) => !configPath.test(candidate));
+      if (invalid.length > 0) {
+        throw new Error(`Invalid config path(s): ${invalid.join(", ")}`);
+      }
+
+      const result = await this.readConfigValues(absoluteProjectPath, paths, scope, scope_code);
+      return this.jsonResponse(
+        { success: result.errors.length === 0, scope, scope_code: scope_code || null, ...result },
+        result.errors.length > 0,
+      );
+    }
+
+    if (!path || !configPath.test(path) || path.split("/").length < 3) {
+      throw new Error("path must be a full config path such as web/secure/base_url");
+    }
+    if (action === "set" && (value === undefined || value === null)) {
+      throw new Error("value is required for set");
+    }
+    if (action === "unset" && lock_env) {
+      throw new Error("lock_env only applies to set; values locked in app/etc/env.php must be removed from that file");
+    }
+    if (action === "unset" && this.dbReadOnly) {
+      return this.jsonResponse(
+        {
+          success: false,
+          error_type: "read_only",
+          error:
+            "unset deletes the row from core_config_data, and the database is in read-only mode. Start the server with ROLLDEV_DB_READ_ONLY=false to allow it.",
+          action,
+          path,
+        },
+        true,
+      );
+    }
+
+    const before = await this.readConfigValues(absoluteProjectPath, [path], scope, scope_code);
+    if (before.errors.length > 0) {
+      return this.jsonResponse({ success: false, error: "Could not read the current value", ...before }, true);
+    }
+
+    const steps = [];
+    if (action === "set") {
+      const commandArgs = [
+        "config:set",
+        ...(scope !== "default" ? [`--scope=${scope}`, `--scope-code=${scope_code}`] : []),
+        ...(lock_env ? ["--lock-env"] : []),
+        path,
+        String(value),
+      ];
+      const policyError = this.checkCommandPolicy(absoluteProjectPath, "magento", commandArgs.join(" "), confirm);
+      if (policyError) {
+        return policyError;
+      }
+
+      steps.push(this.describeStep(await this.runMagentoStep(absoluteProjectPath, commandArgs, 300000)));
+    } else {
+      // Check the policy against the operation as a config:unset command, then the cache clean that follows
+      const unsetCommand = [
+        "config:unset",
+        ...(scope !== "default" ? [`--scope=${scope}`, `--scope-code=${scope_code}`] : []),
+        path,
+      ].join(" ");
+      for (const command of [unsetCommand, "cache:clean config"]) {
+        const policyError = this.checkCommandPolicy(absoluteProjectPath, "magento", command, confirm);
+        if (policyError) {
+          return policyError;
+        }
+      }
+
+      // bin/magento has no command to delete a value, so remove the row and clean the config cache
+      const prefix = before.table_prefix;
+      const scopeId =
+        scope === "default"
+          ? "0"
+          : scope === "websites"
+            ? `(SELECT website_id FROM ${prefix}store_website WHERE code = ${this.quoteSqlString(scope_code)})`
+            : `(SELECT store_id FROM ${prefix}store WHERE code = ${this.quoteSqlString(scope_code)})`;
+      const query = `DELETE FROM ${prefix}core_config_data WHERE scope = ${this.quoteSqlString(scope)} AND scope_id = ${scopeId} AND path = ${this.quoteSqlString(path)}`;
+
+      try {
+        const result = await this.queryDatabase(absoluteProjectPath, query);
+        steps.push({
+          command: result.command,
+          exit_code: result.code,
+          success: result.success,
+          affected_rows: result.statements[0]?.affected_rows ?? null,
+          errors: result.errors,
+        });
+      } catch (error) {
+        steps.push({ command: "roll db connect", exit_code: -1, success: false, errors: [{ message: error.message }] });
+      }
+
+      if (steps[0].success) {
+        steps.push(this.describeStep(await this.runMagentoStep(absoluteProjectPath, ["cache:clean", "config"], 120000)));
+      }
+    }
+
+    const after = await this.readConfigValues(absoluteProjectPath, [path], scope, scope_code);
+    const success = steps.every((step) => step.success);
+
+    return this.jsonResponse(
+      {
+        success,
+        action,
+        path,
+        scope,
+        scope_code: scope_code || null,
+        ...(action === "set" ? { value: String(value), lock_env } : {}),
+        steps,
+        before: before.paths.find((entry) => entry.path === path) || null,
+        after: after.paths.find((entry) => entry.path === path) || null,
+      },
+      !success,
+    );
+  }
+
+  /**
+   * Collect config values for paths or prefixes (paths with fewer than three segments):
+   * the effective value at one scope from config:show, the core_config_data rows for
+   * every scope, and values locked in app/etc/env.php or app/etc/config.php
+   * @returns {Promise<Object>} - paths, table_prefix and errors
+   */
+  async readConfigValues(absoluteProjectPath, paths, scope, scopeCode) {
+    const errors = [];
+    const matches = (candidate) =>
+      paths.some((requested) =>
+        requested.split("/").length >= 3 ? candidate === requested : candidate.startsWith(`${requested}/`),
+      );
+
+    const locked = await this.readLockedConfig(absoluteProjectPath);
+    if (locked.error) {
+      errors.push(locked.error);
+    }
+    const prefix = locked.table_prefix || "";
+
+    const conditions = paths.map((requested) =>
+      requested.split("/").length >= 3
+        ? `c.path = ${this.quoteSqlString(requested)}`
+        : `c.path LIKE ${this.quoteSqlString(`${requested.replace(/[\\%_]/g, "\\$&")}/%`)}`,
+    );
+    const query = `SELECT c.scope, c.scope_id, COALESCE(w.code, s.code) AS scope_code, c.path, c.value, c.updated_at
+FROM ${prefix}core_config_data c
+LEFT JOIN ${prefix}store_website w ON c.scope = 'websites' AND w.website_id = c.scope_id
+LEFT JOIN ${prefix}store s ON c.scope = 'stores' AND s.store_id = c.scope_id
+WHERE ${conditions.join(" OR ")}
+ORDER BY c.path, FIELD(c.scope, 'default', 'websites', 'stores'), c.scope_id`;
+
+    let rows = [];
+    try {
+      const result = await this.queryDatabase(absoluteProjectPath, query, undefined, { readOnly: true });
+      if (result.success && result.statements[0]) {
+        rows = this.statementRowsToObjects(result.statements[0]);
       } else {
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(
-                {
-                  success: false,
-                  command: "roll status",
-                  exit_code: result.code,
-                  environments: [],
-                  error: result.stderr || "Unknown error",
-                  raw_output: result.stdout,
-                },
-                null,
-                2,
-              ),
-            },
-          ],
-          isError: true,
-        };
+        errors.push({ source: "core_config_data", errors: result.errors, raw_errors: result.stderr });
+      }
+    } catch (error) {
+      errors.push({ source: "core_config_data", errors: [{ message: error.message }] });
+    }
+
+    const effective = {};
+    const scopeArgs = scope !== "default" ? [`--scope=${scope}`, `--scope-code=${scopeCode}`] : [];
+    for (const requested of paths) {
+      const step = await this.runMagentoStep(absoluteProjectPath, ["config:show", ...scopeArgs, requested], 120000);
+      if (step.success) {
+        Object.assign(effective, this.parseConfigShow(step.stdout, requested));
+      } else if (!/doesn't exist/i.test(step.output)) {
+        errors.push({ source: "config:show", step: this.describeStep(step) });
+      }
+    }
+
+    const lockedEntries = [
+      ...this.flattenLockedConfig(locked.env, "app/etc/env.php"),
+      ...this.flattenLockedConfig(locked.config, "app/etc/config.php"),
+    ].filter((entry) => matches(entry.path));
+
+    const allPaths = new Set([
+      ...paths.filter((requested) => requested.split("/").length >= 3),
+      ...Object.keys(effective).filter(matches),
+      ...rows.map((row) => row.path),
+      ...lockedEntries.map((entry) => entry.path),
+    ]);
+
+    return {
+      paths: [...allPaths].sort().map((configPath) => ({
+        path: configPath,
+        effective_value: effective[configPath] ?? null,
+        db_values: rows
+          .filter((row) => row.path === configPath)
+          .map((row) => ({
+            scope: row.scope,
+            scope_code: row.scope_code,
+            scope_id: row.scope_id,
+            value: row.value === null ? null : String(row.value),
+            updated_at: row.updated_at,
+          })),
+        locked: lockedEntries
+          .filter((entry) => entry.path === configPath)
+          .map(({ path: _path, ...entry }) => entry),
+      })),
+      table_prefix: prefix,
+      errors,
+    };
+  }
+
+  /**
+   * Read the "system" sections of app/etc/env.php and app/etc/config.php, and the
+   * database table prefix, through PHP in the php-fpm container
+   */
+  async readLockedConfig(absoluteProjectPath) {
+    const code =
+      '$load = function ($file) { return is_file($file) ? include $file : []; };' +
+      '$env = $load("app/etc/env.php"); $config = $load("app/etc/config.php");' +
+      'echo json_encode(["table_prefix" => $env["db"]["table_prefix"] ?? "", "env" => $env["system"] ?? null, "config" => $config["system"] ?? null]);';
+    const result = await this.executeCommand("roll", ["cli", "php", "-r", code], absoluteProjectPath, 60000);
+
+    try {
+      const parsed = JSON.parse(result.stdout.trim().split("\n").pop());
+      if (!/^[A-Za-z0-9_]*$/.test(parsed.table_prefix || "")) {
+        throw new Error(`Unexpected table prefix: ${parsed.table_prefix}`);
       }
+      return parsed;
     } catch (error) {
       return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(
-              {
-                success: false,
-                command: "roll status",
-                exit_code: -1,
-                environments: [],
-                error: error.message,
-                raw_output: error.stdout || "",
-                raw_errors: error.stderr || "",
-              },
-              null,
-              2,
-            ),
-          },
-        ],
-        isError: true,
+        table_prefix: "",
+        env: null,
+        config: null,
+        error: { source: "app/etc", message: error.message, output: `${result.stdout}${result.stderr}`.trim() },
       };
     }
   }
 
-  parseEnvironmentList(output) {
-    const environments = [];
-    const lines = output.split("\n");
+  /**
+   * Flatten a "system" array (default / websites.<code> / stores.<code>, then section/group/field)
+   * into one entry per config path
+   */
+  flattenLockedConfig(system, file) {
+    const entries = [];
+    if (!system || typeof system !== "object") {
+      return entries;
+    }
 
-    let currentProject = null;
-    let currentPath = null;
-    let currentUrl = null;
-    let currentNetwork = null;
-    let currentContainers = null;
+    const walk = (node, path, scope, scopeCode) => {
+      if (node !== null && typeof node === "object") {
+        for (const [key, child] of Object.entries(node)) {
+          walk(child, path ? `${path}/${key}` : key, scope, scopeCode);
+        }
+      } else if (path) {
+        entries.push({ file, scope, scope_code: scopeCode, path, value: node });
+      }
+    };
 
-    for (const line of lines) {
-      const trimmed = line.trim();
+    walk(system.default, "", "default", null);
+    for (const scope of ["websites", "stores"]) {
+      for (const [code, node] of Object.entries(system[scope] || {})) {
+        walk(node, "", scope, code);
+      }
+    }
 
-      // Skip empty lines and headers
-      if (
-        !trimmed ||
-        trimmed.includes("No running environments found") ||
-        trimmed.includes("Found the following") ||
-        trimmed.includes("RollDev Services")
-      ) {
-        continue;
+    return entries;
+  }
+
+  /**
+   * Parse config:show output: the bare value for a full path, or "path - value" lines for a prefix
+   */
+  parseConfigShow(output, requested) {
+    if (requested.split("/").length >= 3) {
+      return { [requested]: output.replace(/\n$/, "") };
+    }
+
+    const values = {};
+    for (const line of output.split("\n")) {
+      const match = line.match(/^([A-Za-z0-9_-]+(?:\/[A-Za-z0-9_-]+)+) - (.*)$/);
+      if (match) {
+        values[match[1]] = match[2];
       }
+    }
+    return values;
+  }
 
-      // Remove ANSI color codes for parsing
-      const cleanLine = trimmed.replace(/\x1b\[[0-9;]*m/g, "");
+  async manageMagentoDeploy(args) {
+    const {
+      action = "show",
+      mode,
+      build = true,
+      areas = [],
+      themes = [],
+      locales = [],
+      jobs,
+      confirm = false,
+    } = args;
+    const absoluteProjectPath = await this.resolveProject(args);
 
-      // Look for project name pattern: "ai-demo a magento2 project"
-      const projectMatch = cleanLine.match(/^(\S+)\s+a\s+(\w+)\s+project$/);
-      if (projectMatch) {
-        currentProject = projectMatch[1];
-        continue;
+    if (!["show", "set_mode", "build"].includes(action)) {
+      throw new Error("action must be one of: show, set_mode, build");
+    }
+    if (action === "set_mode" && !["developer", "production", "default"].includes(mode)) {
+      throw new Error("mode must be developer, production or default for set_mode");
+    }
+    const invalidArea = areas.find((area) => !["frontend", "adminhtml"].includes(area));
+    if (invalidArea) {
+      throw new Error(`Invalid area: ${invalidArea}. Use frontend or adminhtml`);
+    }
+    const invalidTheme = themes.find((theme) => !/^[A-Za-z0-9_-]+\/[A-Za-z0-9_-]+$/.test(theme));
+    if (invalidTheme) {
+      throw new Error(`Invalid theme: ${invalidTheme}. Use Vendor/theme, e.g. Magento/luma`);
+    }
+    const invalidLocale = locales.find((locale) => !/^[a-z]{2,3}(_[A-Za-z]{4})?_[A-Z]{2}$/.test(locale));
+    if (invalidLocale) {
+      throw new Error(`Invalid locale: ${invalidLocale}. Use a code such as en_US`);
+    }
+    if (jobs !== undefined && (!Number.isInteger(jobs) || jobs < 1 || jobs > 32)) {
+      throw new Error("jobs must be an integer between 1 and 32");
+    }
+
+    const before = await this.readDeployMode(absoluteProjectPath);
+    if (!before.success) {
+      return this.jsonResponse({ success: false, error: "deploy:mode:show failed", step: before.step }, true);
+    }
+
+    if (action === "show") {
+      const deployedVersion = await this.readProjectFileTail(
+        absoluteProjectPath,
+        join("pub", "static", "deployed_version.txt"),
+        1024,
+      );
+
+      return this.jsonResponse({
+        success: true,
+        mode: before.mode,
+        static_content_deployed_version: deployedVersion ? deployedVersion.content.trim() : null,
+      });
+    }
+
+    const targetMode = action === "set_mode" ? mode : before.mode;
+    const staticDeployArgs = [
+      "setup:static-content:deploy",
+      // Outside production mode Magento only deploys static content when forced
+      ...(targetMode !== "production" ? ["--force"] : []),
+      ...areas.flatMap((area) => ["--area", area]),
+      ...themes.flatMap((theme) => ["--theme", theme]),
+      ...(jobs !== undefined ? ["--jobs", String(jobs)] : []),
+      ...locales,
+    ];
+
+    const plan = [];
+    if (action === "set_mode") {
+      // Production is switched without Magento's own build so each build step is reported separately
+      const runBuild = mode === "production" && build;
+      plan.push({
+        name: "set_mode",
+        args: ["deploy:mode:set", mode, ...(runBuild ? ["--skip-compilation"] : [])],
+        timeout: runBuild ? 300000 : 3600000,
+      });
+      if (runBuild) {
+        plan.push(
+          { name: "di_compile", args: ["setup:di:compile"], timeout: 1800000 },
+          { name: "static_content_deploy", args: staticDeployArgs, timeout: 3600000 },
+        );
+      }
+    } else {
+      plan.push(
+        { name: "di_compile", args: ["setup:di:compile"], timeout: 1800000 },
+        { name: "static_content_deploy", args: staticDeployArgs, timeout: 3600000 },
+      );
+    }
+    plan.push({ name: "cache_clean", args: ["cache:clean"], timeout: 300000 });
+
+    for (const step of plan) {
+      const policyError = this.checkCommandPolicy(absoluteProjectPath, "magento", step.args.join(" "), confirm);
+      if (policyError) {
+        return policyError;
       }
+    }
 
-      // Look for project directory pattern: "Project Directory: /path/to/project"
-      const directoryMatch = cleanLine.match(/^\s*Project Directory:\s*(.+)$/);
-      if (directoryMatch) {
-        currentPath = directoryMatch[1];
-        continue;
+    // Every step builds on the one before it, so stop at the first failure
+    const startedAt = Date.now();
+    const steps = [];
+    let firstError = null;
+    for (const { name, args: commandArgs, timeout } of plan) {
+      const stepStartedAt = Date.now();
+      const step = await this.runMagentoStep(absoluteProjectPath, commandArgs, timeout);
+      steps.push({ name, ...this.describeStep(step), duration_ms: Date.now() - stepStartedAt });
+
+      if (!step.success) {
+        firstError = {
+          step: name,
+          message: step.timed_out
+            ? `Timed out after ${Math.round(timeout / 60000)} minutes`
+            : this.extractFirstError(step.output),
+        };
+        break;
       }
+    }
 
-      // Look for project URL pattern: "Project URL: https://app.ai-demo.test"
-      const urlMatch = cleanLine.match(/^\s*Project URL:\s*(.+)$/);
-      if (urlMatch) {
-        currentUrl = urlMatch[1];
-        continue;
+    const after = await this.readDeployMode(absoluteProjectPath);
+    const success = !firstError;
+
+    return this.jsonResponse(
+      {
+        success,
+        action,
+        mode_before: before.mode,
+        mode_after: after.success ? after.mode : null,
+        steps,
+        first_error: firstError,
+        skipped_steps: plan.slice(steps.length).map((step) => step.name),
+        total_duration_ms: Date.now() - startedAt,
+      },
+      !success,
+    );
+  }
+
+  /**
+   * Read the application mode from deploy:mode:show
+   */
+  async readDeployMode(absoluteProjectPath) {
+    const step = await this.runMagentoStep(absoluteProjectPath, ["deploy:mode:show"], 120000);
+    if (!step.success) {
+      return { success: false, step: this.describeStep(step) };
+    }
+
+    return { success: true, mode: this.parseDeployMode(step.stdout) };
+  }
+
+  /**
+   * Parse "Current application mode: developer. (Note: ...)" from deploy:mode:show
+   */
+  parseDeployMode(output) {
+    const match = output.match(/Current application mode:\s*([a-z]+)/i);
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  /**
+   * Pick the first error message from a failed command's output: the message under a
+   * console exception header, else the first line that reads like an error, else the last line
+   */
+  extractFirstError(output) {
+    const lines = output
+      .split("\n")
+      .map((line) => line.trim())
+      .filter((line) => line && !/^[-=\s]+$/.test(line));
+
+    // Symfony console prints exceptions as "In File.php line 57:" followed by the message
+    const header = lines.findIndex((line) => /^In \S+ line \d+:$/.test(line));
+    if (header !== -1 && lines[header + 1]) {
+      return lines[header + 1];
+    }
+
+    const errorLine = lines.find((line) =>
+      /\b(error|exception|fatal|failed|cannot|could not|unable to)\b/i.test(line),
+    );
+
+    return errorLine || lines[lines.length - 1] || null;
+  }
+
+  async manageMagentoCron(args) {
+    const {
+      action = "status",
+      hours = 24,
+      job_codes = [],
+      limit = 20,
+      group,
+      stuck_minutes = 60,
+      confirm = false,
+    } = args;
+    const absoluteProjectPath = await this.resolveProject(args);
+
+    if (!["status", "errors", "run", "clean_stuck"].includes(action)) {
+      throw new Error("action must be one of: status, errors, run, clean_stuck");
+    }
+    if (!Number.isInteger(hours) || hours < 1 || hours > 720) {
+      throw new Error("hours must be an integer between 1 and 720");
+    }
+    if (!Number.isInteger(stuck_minutes) || stuck_minutes < 1) {
+      throw new Error("stuck_minutes must be a positive integer");
+    }
+    const invalidCode = job_codes.find((code) => !/^[A-Za-z0-9_]+$/.test(code));
+    if (invalidCode) {
+      throw new Error(`Invalid job code: ${invalidCode}`);
+    }
+
+    // cron_schedule times are stored in UTC
+    const { table_prefix: prefix } = await this.readLockedConfig(absoluteProjectPath);
+    const table = `${prefix}cron_schedule`;
+    const jobFilter =
+      job_codes.length > 0 ? ` AND job_code IN (${job_codes.map((code) => this.quoteSqlString(code)).join(", ")})` : "";
+    const windowFilter = `scheduled_at >= UTC_TIMESTAMP() - INTERVAL ${hours} HOUR`;
+    const stuckFilter = `status = 'running' AND executed_at < UTC_TIMESTAMP() - INTERVAL ${stuck_minutes} MINUTE${jobFilter}`;
+
+    const query = async (sql, readOnly = true) => {
+      try {
+        const result = await this.queryDatabase(absoluteProjectPath, sql, undefined, { readOnly });
+        return { ...result, rows: result.statements.map((statement) => this.statementRowsToObjects(statement)) };
+      } catch (error) {
+        return { success: false, errors: [{ message: error.message }], rows: [] };
       }
+    };
 
-      // Look for docker network pattern: "Docker Network: ai-demo_default"
-      const networkMatch = cleanLine.match(/^\s*Docker Network:\s*(.+)$/);
-      if (networkMatch) {
-        currentNetwork = networkMatch[1];
-        continue;
+    if (action === "status") {
+      const result = await query(
+        `SELECT job_code,
+  SUM(status = 'pending') AS pending, SUM(status = 'running') AS running, SUM(status = 'success') AS success,
+  SUM(status = 'error') AS error, SUM(status = 'missed') AS missed,
+  MAX(CASE WHEN status = 'success' THEN finished_at END) AS last_success_at,
+  MAX(CASE WHEN status = 'error' THEN COALESCE(finished_at, executed_at) END) AS last_error_at,
+  MIN(CASE WHEN status = 'pending' THEN scheduled_at END) AS next_scheduled_at
+FROM ${table} WHERE ${windowFilter}${jobFilter}
+GROUP BY job_code ORDER BY error DESC, missed DESC, job_code;
+SELECT MAX(executed_at) AS last_executed_at, UTC_TIMESTAMP() AS now, SUM(${stuckFilter}) AS stuck_running FROM ${table}`,
+      );
+      if (!result.success) {
+        return this.jsonResponse({ success: false, error: "Could not read cron_schedule", errors: result.errors }, true);
       }
 
-      // Look for containers running pattern: "Containers Running: 9"
-      const containersMatch = cleanLine.match(/^\s*Containers Running:\s*(\d+)$/);
-      if (containersMatch && currentProject) {
-        currentContainers = parseInt(containersMatch[1]);
+      const { jobs, totals } = this.summarizeCronJobs(result.rows[0]);
+      const overview = result.rows[1][0] || {};
 
-        // Add the environment when we have complete information
-        environments.push({
-          name: currentProject,
-          path: currentPath,
-          url: currentUrl,
-          network: currentNetwork,
-          containers: currentContainers,
-          raw: line,
-        });
+      return this.jsonResponse({
+        success: true,
+        window_hours: hours,
+        now_utc: overview.now ?? null,
+        last_executed_at: overview.last_executed_at ?? null,
+        stuck_running: Number(overview.stuck_running) || 0,
+        stuck_minutes,
+        totals,
+        jobs,
+      });
+    }
 
-        // Reset for next project
-        currentProject = null;
-        currentPath = null;
-        currentUrl = null;
-        currentNetwork = null;
-        currentContainers = null;
-        continue;
+    if (action === "errors") {
+      const result = await query(
+        `SELECT schedule_id, job_code, status, messages, scheduled_at, executed_at, finished_at
+FROM ${table} WHERE status = 'error' AND ${windowFilter}${jobFilter}
+ORDER BY schedule_id DESC LIMIT ${Math.max(1, Math.min(Number(limit) || 20, 200))}`,
+      );
+      if (!result.success) {
+        return this.jsonResponse({ success: false, error: "Could not read cron_schedule", errors: result.errors }, true);
+      }
+
+      const messageLimit = 2000;
+      return this.jsonResponse({
+        success: true,
+        window_hours: hours,
+        errors: result.rows[0].map((row) => {
+          const messages = row.messages === null ? "" : String(row.messages);
+          return {
+            ...row,
+            message: messages.split("\n")[0] || null,
+            messages: messages.slice(0, messageLimit),
+            messages_truncated: messages.length > messageLimit,
+          };
+        }),
+      });
+    }
+
+    if (action === "run") {
+      if (!group || !/^[A-Za-z0-9_]+$/.test(group)) {
+        throw new Error("group is required for run, e.g. default or index");
       }
 
-      // Stop parsing when we hit the services section
-      if (cleanLine.includes("NAME") && cleanLine.includes("STATE")) {
-        break;
-      }
+      // Run the group in this process instead of Magento spawning a detached one, so the result is known
+      const commandArgs = ["cron:run", `--group=${group}`, "--bootstrap=standaloneProcessStarted=1"];
+      const policyError = this.checkCommandPolicy(absoluteProjectPath, "magento", commandArgs.join(" "), confirm);
+      if (policyError) {
+        return policyError;
+      }
+
+      const startedAt = new Date(Date.now() - 1000).toISOString().slice(0, 19).replace("T", " ");
+      const stepStartedAt = Date.now();
+      const step = await this.runMagentoStep(absoluteProjectPath, commandArgs, 900000);
+      const duration = Date.now() - stepStartedAt;
+
+      const executed = await query(
+        `SELECT schedule_id, job_code, status, messages, executed_at, finished_at
+FROM ${table} WHERE executed_at >= ${this.quoteSqlString(startedAt)}${jobFilter} ORDER BY executed_at, schedule_id`,
+      );
+
+      return this.jsonResponse(
+        {
+          success: step.success,
+          action,
+          group,
+          step: { ...this.describeStep(step), duration_ms: duration },
+          executed_jobs: executed.success ? executed.rows[0] : null,
+        },
+        !step.success,
+      );
+    }
+
+    if (this.dbReadOnly) {
+      return this.jsonResponse(
+        {
+          success: false,
+          error_type: "read_only",
+          error:
+            "clean_stuck updates cron_schedule, and the database is in read-only mode. Start the server with ROLLDEV_DB_READ_ONLY=false to allow it.",
+          action,
+        },
+        true,
+      );
+    }
+
+    // bin/magento has no command for this, so check the policy against one that describes the update
+    const policyError = this.checkCommandPolicy(
+      absoluteProjectPath,
+      "magento",
+      ["cron:clean-stuck", `--stuck-minutes=${stuck_minutes}`, ...job_codes].join(" "),
+      confirm,
+    );
+    if (policyError) {
+      return policyError;
+    }
+
+    if (!confirm) {
+      const preview = await query(`SELECT schedule_id, job_code, executed_at FROM ${table} WHERE ${stuckFilter} ORDER BY executed_at`);
+      return this.jsonResponse(
+        {
+          success: false,
+          error_type: "confirmation_required",
+          error: "clean_stuck marks the listed runs as errors. Re-run with confirm: true to update them.",
+          action,
+          stuck_minutes,
+          jobs: preview.rows[0] || [],
+          errors: preview.errors,
+        },
+        true,
+      );
+    }
+
+    // Mark runs that have been "running" too long as errors, the way Magento's own cleanup does,
+    // so they stop blocking new runs of the same job
+    const message = `Marked as error by rolldev_magento_cron: running for more than ${stuck_minutes} minutes`;
+    const result = await query(
+      `SELECT schedule_id, job_code, executed_at FROM ${table} WHERE ${stuckFilter} ORDER BY executed_at;
+UPDATE ${table} SET status = 'error', finished_at = UTC_TIMESTAMP(), messages = ${this.quoteSqlString(message)} WHERE ${stuckFilter}`,
+      false,
+    );
+
+    return this.jsonResponse(
+      {
+        success: result.success,
+        action,
+        stuck_minutes,
+        cleaned: result.success ? result.statements[1]?.affected_rows ?? 0 : 0,
+        jobs: result.rows[0] || [],
+        errors: result.errors,
+      },
+      !result.success,
+    );
+  }
+
+  /**
+   * Turn per-job cron_schedule counts into numbers and add them up per status
+   */
+  summarizeCronJobs(rows) {
+    const statuses = ["pending", "running", "success", "error", "missed"];
+    const jobs = rows.map((row) => ({
+      ...row,
+      ...Object.fromEntries(statuses.map((status) => [status, Number(row[status]) || 0])),
+    }));
+
+    return {
+      jobs,
+      totals: Object.fromEntries(statuses.map((status) => [status, jobs.reduce((sum, job) => sum + job[status], 0)])),
+    };
+  }
+
+  async manageMagentoQueues(args) {
+    const { action = "status", consumer, max_messages = 100, timeout_seconds = 120, confirm = false } = args;
+    const absoluteProjectPath = await this.resolveProject(args);
+
+    if (!["status", "run"].includes(action)) {
+      throw new Error("action must be one of: status, run");
+    }
+    if (!Number.isInteger(max_messages) || max_messages < 1 || max_messages > 10000) {
+      throw new Error("max_messages must be an integer between 1 and 10000");
+    }
+    if (!Number.isInteger(timeout_seconds) || timeout_seconds < 1 || timeout_seconds > 1800) {
+      throw new Error("timeout_seconds must be an integer between 1 and 1800");
+    }
+
+    const listStep = await this.runMagentoStep(absoluteProjectPath, ["queue:consumers:list"], 120000);
+    if (!listStep.success) {
+      return this.jsonResponse(
+        { success: false, error: "queue:consumers:list failed", step: this.describeStep(listStep) },
+        true,
+      );
+    }
+    const consumers = this.parseConsumerList(listStep.stdout);
+    if (action === "run" && !consumers.includes(consumer)) {
+      throw new Error(`consumer must be one of: ${consumers.join(", ")}`);
+    }
+
+    const envFile = join(absoluteProjectPath, ".env.roll");
+    const { variables } = existsSync(envFile)
+      ? this.parseEnvRoll(readFileSync(envFile, "utf8"))
+      : { variables: {} };
+    const usesRabbitMq = ["1", "true"].includes(variables.ROLL_RABBITMQ?.value);
+    const { table_prefix: prefix } = await this.readLockedConfig(absoluteProjectPath);
+
+    const before = await this.readQueueState(absoluteProjectPath, prefix, usesRabbitMq);
+
+    if (action === "status") {
+      return this.jsonResponse({
+        success: before.errors.length === 0,
+        consumers,
+        database_queues: before.database,
+        rabbitmq_queues: usesRabbitMq ? before.rabbitmq : null,
+        errors: before.errors,
+      });
     }
 
-    return environments;
+    const commandArgs = ["queue:consumers:start", consumer, `--max-messages=${max_messages}`, "--single-thread"];
+    const policyError = this.checkCommandPolicy(absoluteProjectPath, "magento", commandArgs.join(" "), confirm);
+    if (policyError) {
+      return policyError;
+    }
+
+    // Database consumers keep polling an empty queue, so stop the PHP process inside the
+    // container at the time limit rather than only the roll client on this side
+    const startedAt = Date.now();
+    const result = await this.executeCommand(
+      "roll",
+      ["cli", "timeout", String(timeout_seconds), "php", "bin/magento", ...commandArgs],
+      absoluteProjectPath,
+      (timeout_seconds + 60) * 1000,
+    );
+    const output = `${result.stdout}${result.stderr}`.trim();
+    const stoppedAtLimit = result.code === 124;
+
+    const after = await this.readQueueState(absoluteProjectPath, prefix, usesRabbitMq);
+    const databaseProcessed = this.diffQueueCounts(before.database, after.database, ["complete", "error"]);
+    const rabbitmqConsumed = usesRabbitMq
+      ? this.diffQueueCounts(after.rabbitmq, before.rabbitmq, ["messages_ready"]).map((entry) => ({
+          queue: entry.queue,
+          consumed: entry.messages_ready,
+        }))
+      : null;
+    const success = result.code === 0 || stoppedAtLimit;
+
+    return this.jsonResponse(
+      {
+        success,
+        action,
+        consumer,
+        max_messages,
+        timeout_seconds,
+        stopped_by: stoppedAtLimit ? "timeout" : result.code === 0 ? "finished" : "error",
+        step: {
+          command: `roll cli timeout ${timeout_seconds} php bin/magento ${commandArgs.join(" ")}`,
+          exit_code: result.code,
+          success,
+          output: output.length > 4000 ? output.slice(-4000) : output,
+          output_truncated: output.length > 4000,
+          duration_ms: Date.now() - startedAt,
+        },
+        processed: {
+          total: databaseProcessed.reduce((sum, entry) => sum + entry.complete + entry.error, 0),
+          database_queues: databaseProcessed,
+          // RabbitMQ depths also move with new messages, so this is an estimate
+          rabbitmq_queues: rabbitmqConsumed,
+        },
+        errors: [...before.errors, ...after.errors],
+      },
+      !success,
+    );
   }
 
   /**
-   * Helper function to get environment list for internal use by other tools
-   * Returns a simplified array of {name, path} objects
+   * Read message counts per queue from queue_message_status and, when the project
+   * runs RabbitMQ, queue depths from rabbitmqctl
+   * @returns {Promise<Object>} - database and rabbitmq queue lists, and errors
    */
-  async getEnvironmentList() {
+  async readQueueState(absoluteProjectPath, prefix, usesRabbitMq) {
+    const errors = [];
+
+    // Status codes from Magento\MysqlMq\Model\QueueManagement
+    const query = `SELECT q.name AS queue,
+  SUM(s.status = 2) AS new, SUM(s.status = 3) AS in_progress, SUM(s.status = 4) AS complete,
+  SUM(s.status = 5) AS retry_required, SUM(s.status = 6) AS error, SUM(s.status = 7) AS to_be_deleted
+FROM ${prefix}queue_message_status s JOIN ${prefix}queue q ON q.id = s.queue_id
+GROUP BY q.name ORDER BY q.name`;
+
+    let database = [];
     try {
+      const result = await this.queryDatabase(absoluteProjectPath, query, undefined, { readOnly: true });
+      if (result.success) {
+        database = this.summarizeQueueRows(result.statements[0] ? this.statementRowsToObjects(result.statements[0]) : []);
+      } else {
+        errors.push({ source: "queue_message_status", errors: result.errors });
+      }
+    } catch (error) {
+      errors.push({ source: "queue_message_status", errors: [{ message: error.message }] });
+    }
+
+    let rabbitmq = null;
+    if (usesRabbitMq) {
       const result = await this.executeCommand(
         "roll",
-        ["status"],
-        process.cwd(),
+        ["env", "exec", "-T", "rabbitmq", "rabbitmqctl", "list_queues", "-q", "name", "messages_ready", "messages_unacknowledged", "consumers"],
+        absoluteProjectPath,
+        60000,
       );
-
       if (result.code === 0) {
-        const environments = this.parseEnvironmentList(result.stdout);
-        return environments.map((env) => ({
-          name: env.name,
-          path: env.path,
-        }));
+        rabbitmq = this.parseRabbitQueues(result.stdout);
       } else {
-        return [];
+        errors.push({ source: "rabbitmqctl", exit_code: result.code, output: `${result.stdout}${result.stderr}`.trim() });
       }
-    } catch (error) {
-      return [];
     }
+
+    return { database, rabbitmq, errors };
   }
 
-  async startProject(args) {
-    const { project_path } = args;
-    return await this.executeRollCommand(
-      project_path,
-      ["env", "up"],
-      "Starting RollDev project environment",
-    );
+  /**
+   * Add pending (new + retry_required) and failed (error) totals to queue_message_status counts
+   */
+  summarizeQueueRows(rows) {
+    const counts = ["new", "in_progress", "complete", "retry_required", "error", "to_be_deleted"];
+
+    return rows.map((row) => {
+      const queue = {
+        queue: row.queue,
+        ...Object.fromEntries(counts.map((count) => [count, Number(row[count]) || 0])),
+      };
+      return { ...queue, pending: queue.new + queue.retry_required, failed: queue.error };
+    });
   }
 
-  async stopProject(args) {
-    const { project_path } = args;
-    return await this.executeRollCommand(
-      project_path,
-      ["env", "down"],
-      "Stopping RollDev project environment",
-    );
+  /**
+   * Parse queue:consumers:list (one consumer name per line)
+   */
+  parseConsumerList(output) {
+    return output
+      .split("\n")
+      .map((line) => line.trim())
+      .filter((line) => /^[A-Za-z0-9_.-]+$/.test(line));
   }
 
-  async startSvc(args) {
-    const { project_path } = args;
-    return await this.executeRollCommand(
-      project_path,
-      ["svc", "up"],
-      "Starting RollDev system services",
-    );
+  /**
+   * Parse `rabbitmqctl list_queues -q name messages_ready messages_unacknowledged consumers`,
+   * skipping the header row newer versions print
+   */
+  parseRabbitQueues(output) {
+    const queues = [];
+
+    for (const line of output.split("\n")) {
+      const match = line.trim().match(/^(\S+)\s+(\d+)\s+(\d+)\s+(\d+)$/);
+      if (match) {
+        queues.push({
+          queue: match[1],
+          messages_ready: Number(match[2]),
+          messages_unacknowledged: Number(match[3]),
+          consumers: Number(match[4]),
+        });
+      }
+    }
+
+    return queues;
   }
 
-  async stopSvc(args) {
-    const { project_path } = args;
-    return await this.executeRollCommand(
-      project_path,
-      ["svc", "down"],
-      "Stopping RollDev system services",
-    );
+  /**
+   * Per-queue increase of the given counts between two snapshots, leaving out queues that did not change
+   */
+  diffQueueCounts(before, after, fields) {
+    if (!before || !after) {
+      return [];
+    }
+
+    return after
+      .map((entry) => {
+        const previous = before.find((candidate) => candidate.queue === entry.queue) || {};
+        return {
+          queue: entry.queue,
+          ...Object.fromEntries(fields.map((field) => [field, entry[field] - (previous[field] || 0)])),
+        };
+      })
+      .filter((entry) => fields.some((field) => entry[field] !== 0));
   }
 
-  async runDbQuery(args) {
-    const { project_path, query, database = "magento" } = args;
+  async readMagentoLogs(args) {
+    const {
+      files = ["system.log", "exception.log", "debug.log"],
+      level,
+      since,
+      until,
+      limit = 50,
+      max_bytes = 2 * 1024 * 1024,
+    } = args;
+    const absoluteProjectPath = await this.resolveProject(args);
 
-    const rollCommand = [
-      "db",
-      "connect",
-      "-e",
-      query,
-    ];
+    if (!Number.isInteger(max_bytes) || max_bytes < 1) {
+      throw new Error("max_bytes must be a positive integer");
+    }
 
-    return await this.executeRollCommand(
-      project_path,
-      rollCommand,
-      `Running database query in ${database}`,
-    );
-  }
+    const levels = RollDevServer.MONOLOG_LEVELS;
+    const minLevel = level ? levels.indexOf(level.toUpperCase()) : 0;
+    if (minLevel === -1) {
+      throw new Error(`level must be one of: ${levels.join(", ")}`);
+    }
 
-  async runPhpScript(args) {
-    const { project_path, script_path, args: scriptArgs = [] } = args;
+    const sinceTime = since ? Date.parse(since) : null;
+    const untilTime = until ? Date.parse(until) : null;
+    if (Number.isNaN(sinceTime) || Number.isNaN(untilTime)) {
+      throw new Error("since and until must be ISO timestamps");
+    }
 
-    const rollCommand = [
-      "cli",
-      "php",
-      script_path,
-      ...scriptArgs,
-    ];
+    const fileResults = [];
+    const entries = [];
 
-    return await this.executeRollCommand(
-      project_path,
-      rollCommand,
-      `Running PHP script: ${script_path}`,
-    );
+    for (const file of files) {
+      if (!/^[\w.-]+\.log$/.test(file)) {
+        throw new Error(`Invalid log file name: ${file} (expected a file in var/log, e.g. system.log)`);
+      }
+
+      const tail = await this.readProjectFileTail(absoluteProjectPath, join("var", "log", file), max_bytes);
+      fileResults.push({
+        file: `var/log/${file}`,
+        found: tail !== null,
+        source: tail?.source ?? null,
+        truncated: tail?.truncated ?? false,
+      });
+
+      if (tail) {
+        entries.push(...this.parseMonologEntries(tail.content, file));
+      }
+    }
+
+    const matches = entries
+      .map((entry, index) => ({ entry, index, time: Date.parse(entry.timestamp.replace(" ", "T")) }))
+      .filter(({ entry, time }) =>
+        (minLevel === 0 || levels.indexOf(entry.level) >= minLevel) &&
+        (sinceTime === null || time >= sinceTime) &&
+        (untilTime === null || time <= untilTime),
+      );
+
+    // Newest first; entries within a file keep their order on equal timestamps
+    const newest = matches
+      .sort((a, b) => b.time - a.time || b.index - a.index)
+      .slice(0, limit)
+      .map(({ entry }) => entry);
+
+    return this.jsonResponse({
+      success: true,
+      project_path: absoluteProjectPath,
+      files: fileResults,
+      total_matches: matches.length,
+      returned: newest.length,
+      entries: newest,
+    });
   }
 
-  async runMagentoCli(args) {
-    const { project_path, command, args: commandArgs = [], save_output_to_file = false } = args;
+  /**
+   * Read the end of a file in the project, from the host when it is there
+   * (var/ is often excluded from file sync) or else from the php-fpm container
+   * @param {string} relativePath - Path relative to the project root
+   * @returns {Promise<Object|null>} - content, source and truncated flag, or null when missing
+   */
+  async readProjectFileTail(absoluteProjectPath, relativePath, maxBytes) {
+    const hostPath = join(absoluteProjectPath, relativePath);
 
-    const rollCommand = [
-      "magento",
-      command,
-      ...commandArgs,
-    ];
+    if (existsSync(hostPath)) {
+      const totalBytes = statSync(hostPath).size;
+      const start = Math.max(0, totalBytes - maxBytes);
+      const buffer = Buffer.alloc(totalBytes - start);
+      const fd = openSync(hostPath, "r");
+      try {
+        readSync(fd, buffer, 0, buffer.length, start);
+      } finally {
+        closeSync(fd);
+      }
 
-    // 5 minute timeout for most Magento commands
-    const timeoutMs = 300000;
+      return { content: buffer.toString("utf8"), source: "host", truncated: start > 0 };
+    }
 
-    return await this.executeRollCommand(
-      project_path,
-      rollCommand,
-      `Running Magento CLI: roll magento ${command}`,
-      timeoutMs,
-      save_output_to_file,
+    const result = await this.executeCommand(
+      "roll",
+      ["cli", "sh", "-c", 'test -f "$1" && wc -c < "$1" && tail -c "$2" "$1"', "sh", relativePath, String(maxBytes)],
+      absoluteProjectPath,
+      60000,
     );
+    if (result.code !== 0) {
+      return null;
+    }
+
+    // First line is the file size, the rest is its tail
+    const newline = result.stdout.indexOf("\n");
+    const totalBytes = Number(result.stdout.slice(0, newline).trim());
+    return {
+      content: result.stdout.slice(newline + 1),
+      source: "container",
+      truncated: totalBytes > maxBytes,
+    };
   }
 
+  /**
+   * Parse Monolog lines ("[2024-05-01T10:00:00.000000+00:00] main.CRITICAL: message {context} {extra}")
+   * into entries, joining continuation lines such as stack traces onto the entry above
+   * @returns {Array} - Entries with file, timestamp, channel, level, message, context and extra
+   */
+  parseMonologEntries(content, file) {
+    const header = /^\[(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?)\] ([\w-]+)\.([A-Z]+): /;
+    const records = [];
+
+    for (const line of content.split("\n")) {
+      const match = line.match(header);
+      if (match) {
+        records.push({ match, text: line.slice(match[0].length) });
+      } else if (records.length > 0) {
+        // Lines before the first header belong to a record cut off by the read window
+        records[records.length - 1].text += `\n${line}`;
+      }
+    }
 
+    return records.map(({ match, text }) => {
+      const [withContext, extra] = this.splitTrailingJson(text.replace(/\n+$/, ""));
+      const [message, context] = this.splitTrailingJson(withContext);
 
-  async runComposer(args) {
-    const { project_path, command, save_output_to_file = false } = args;
+      return {
+        file,
+        timestamp: match[1],
+        channel: match[2],
+        level: match[3],
+        message,
+        context,
+        extra,
+      };
+    });
+  }
 
-    if (!project_path) {
-      throw new Error("project_path is required");
+  /**
+   * Split a trailing JSON value (Monolog context or extra) off a log message
+   * @returns {Array} - [text before the JSON, parsed value or null]
+   */
+  splitTrailingJson(text) {
+    const last = text[text.length - 1];
+    if (last !== "]" && last !== "}") {
+      return [text, null];
     }
 
-    if (!command) {
-      throw new Error("command is required");
+    for (let i = text.length - 1; i >= 0; i--) {
+      if (text[i] !== " " || (text[i + 1] !== "[" && text[i + 1] !== "{")) {
+        continue;
+      }
+
+      try {
+        // Inline line breaks (stack traces) are raw newlines inside JSON strings
+        const value = JSON.parse(text.slice(i + 1).replace(/\r?\n/g, "\\n"));
+        return [text.slice(0, i), value];
+      } catch (error) {
+        // Not a complete JSON value yet; keep looking further left
+      }
     }
 
-    const normalizedProjectPath = project_path.replace(/\/+$/, "");
-    const absoluteProjectPath = resolve(normalizedProjectPath);
+    return [text, null];
+  }
 
-    if (!existsSync(absoluteProjectPath)) {
-      throw new Error(
-        `Project directory does not exist: ${absoluteProjectPath}`,
+  async readMagentoReport(args) {
+    const { report_id, limit = 10, trace_limit = 20 } = args;
+    const absoluteProjectPath = await this.resolveProject(args);
+
+    const reportId = report_id === undefined || report_id === null ? "" : String(report_id).trim();
+    if (reportId && !/^[\w-]+$/.test(reportId)) {
+      throw new Error(`Invalid report ID: ${reportId}`);
+    }
+
+    const reports = await this.listReportFiles(absoluteProjectPath);
+
+    if (!reportId) {
+      const recent = [];
+      for (const report of reports.slice(0, limit)) {
+        const decoded = await this.loadMagentoReport(absoluteProjectPath, report, 0);
+        const firstLine = (decoded.message || "").split("\n")[0];
+        recent.push({
+          report_id: report.id,
+          file: decoded.file,
+          created_at: report.created_at,
+          exception_class: decoded.exception_class,
+          message: firstLine.length > 200 ? `${firstLine.slice(0, 200)}...` : firstLine,
+          url: decoded.url,
+        });
+      }
+
+      return this.jsonResponse({
+        success: true,
+        project_path: absoluteProjectPath,
+        total_reports: reports.length,
+        reports: recent,
+      });
+    }
+
+    const report = reports.find((candidate) => candidate.id === reportId);
+    if (!report) {
+      return this.jsonResponse(
+        {
+          success: false,
+          error: `Report ${reportId} not found in var/report`,
+          recent_reports: reports.slice(0, 5).map((candidate) => candidate.id),
+        },
+        true,
       );
     }
 
-    try {
-      // Parse the command string to handle arguments properly
-      const commandParts = command.trim().split(/\s+/);
-      const rollCommand = [
-        "composer",
-        ...commandParts,
-      ];
+    return this.jsonResponse({
+      success: true,
+      ...(await this.loadMagentoReport(absoluteProjectPath, report, trace_limit)),
+    });
+  }
 
-      // 10 minute timeout for composer operations (can be slow)
-      const timeoutMs = 600000;
+  /**
+   * List report files under var/report (including hashed subdirectories), newest first
+   * @returns {Promise<Array>} - Reports with id, relative path and created_at
+   */
+  async listReportFiles(absoluteProjectPath) {
+    const reportDir = join(absoluteProjectPath, "var", "report");
+    const reports = [];
 
+    if (existsSync(reportDir)) {
+      const walk = (directory, relative) => {
+        for (const entry of readdirSync(directory, { withFileTypes: true })) {
+          const entryRelative = relative ? `${relative}/${entry.name}` : entry.name;
+          if (entry.isDirectory()) {
+            walk(join(directory, entry.name), entryRelative);
+          } else if (entry.isFile() && !entry.name.startsWith(".")) {
+            reports.push({
+              id: entry.name,
+              path: `var/report/${entryRelative}`,
+              created_at: statSync(join(directory, entry.name)).mtime.toISOString(),
+            });
+          }
+        }
+      };
+      walk(reportDir, "");
+    } else {
+      // var/ is often excluded from file sync, so ask the container
       const result = await this.executeCommand(
         "roll",
-        rollCommand,
+        ["cli", "find", "var/report", "-type", "f", "!", "-name", ".*", "-printf", "%T@ %P\\n"],
         absoluteProjectPath,
-        timeoutMs,
+        60000,
       );
 
-      const commandStr = `roll composer ${command}`;
-      const isSuccess = result.code === 0;
+      if (result.code === 0) {
+        for (const line of result.stdout.split("\n")) {
+          const match = line.match(/^(\d+(?:\.\d+)?) (.+)$/);
+          if (match) {
+            reports.push({
+              id: match[2].split("/").pop(),
+              path: `var/report/${match[2]}`,
+              created_at: new Date(Number(match[1]) * 1000).toISOString(),
+            });
+          }
+        }
+      }
+    }
 
-      // Save output to file only when explicitly requested
-      const logFilePath = save_output_to_file
-        ? this.saveOutputToFile(result.stdout, result.stderr, commandStr, absoluteProjectPath)
-        : null;
+    return reports.sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
 
-      let responseText;
-      if (logFilePath) {
-        const outputPreview = (result.stdout || "").substring(0, 500);
-        const stderrPreview = (result.stderr || "").substring(0, 500);
-        responseText = `Composer command ${isSuccess ? "completed successfully" : "failed"}!
+  /**
+   * Read and decode one report file
+   */
+  async loadMagentoReport(absoluteProjectPath, report, traceLimit) {
+    const file = await this.readProjectFileTail(absoluteProjectPath, report.path, 1024 * 1024);
+    const decoded = this.decodeMagentoReport(file ? file.content : "");
 
-Command: ${commandStr}
-Working directory: ${absoluteProjectPath}
-Exit Code: ${result.code}${result.timedOut ? " (TIMED OUT)" : ""}
+    return {
+      report_id: report.id,
+      file: report.path,
+      created_at: report.created_at,
+      ...decoded,
+      trace: decoded.trace.slice(0, traceLimit),
+      trace_total: decoded.trace.length,
+    };
+  }
 
-📁 Full output saved to file:
-${logFilePath}
+  /**
+   * Decode a var/report file: JSON in current Magento versions, PHP serialize() in older ones.
+   * Entry 0 holds the message and entry 1 the stack trace.
+   */
+  decodeMagentoReport(content) {
+    let data = null;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      data = this.unserializePhp(content);
+    }
 
-Output Preview (first 500 chars):
-${outputPreview || "(no output)"}${(result.stdout || "").length > 500 ? "\n...(truncated)" : ""}
+    if (!data || typeof data !== "object") {
+      return {
+        decoded: false,
+        message: content.trim() || null,
+        exception_class: null,
+        origin: null,
+        url: null,
+        script_name: null,
+        trace: [],
+      };
+    }
 
-Errors Preview (first 500 chars):
-${stderrPreview || "(no errors)"}${(result.stderr || "").length > 500 ? "\n...(truncated)" : ""}`;
-      } else {
-        responseText = `Composer command ${isSuccess ? "completed successfully" : "failed"}!
+    const message = typeof data[0] === "string" ? data[0] : null;
+    const traceText = typeof data[1] === "string" ? data[1] : "";
 
-Command: ${commandStr}
-Working directory: ${absoluteProjectPath}
-Exit Code: ${result.code}${result.timedOut ? " (TIMED OUT)" : ""}
+    const trace = traceText
+      .split("\n")
+      .map((line) => line.match(/^#(\d+) (?:(.+?)\((\d+)\): )?(.*)$/))
+      .filter(Boolean)
+      .map((match) => ({
+        frame: Number(match[1]),
+        file: match[2] || null,
+        line: match[3] ? Number(match[3]) : null,
+        call: match[4],
+      }));
 
-Output:
-${result.stdout || "(no output)"}
+    // "Exception #0 (Magento\Framework\Exception\LocalizedException): message" or "... at /path/file.php:12"
+    const classMatch = (message || "").match(/\(([A-Z][\w\\]*(?:Exception|Error)\w*)\)/);
+    const locationMatch = (message || "").match(/ at (\/\S+?\.php):(\d+)/);
+    const firstFrame = trace.find((frame) => frame.file);
 
-Errors:
-${result.stderr || "(no errors)"}`;
+    return {
+      decoded: true,
+      message,
+      exception_class: classMatch ? classMatch[1] : null,
+      origin: locationMatch
+        ? { file: locationMatch[1], line: Number(locationMatch[2]) }
+        : firstFrame
+          ? { file: firstFrame.file, line: firstFrame.line }
+          : null,
+      url: data.url || null,
+      script_name: data.script_name || null,
+      trace,
+    };
+  }
+
+  /**
+   * Minimal PHP unserialize() for report files: arrays, strings, numbers, booleans and null
+   * @returns {*} - Decoded value, or null when the content is not serialized PHP
+   */
+  unserializePhp(content) {
+    const buffer = Buffer.from(content, "utf8");
+    let position = 0;
+
+    const readUntil = (char) => {
+      const end = buffer.indexOf(char, position);
+      if (end === -1) {
+        throw new Error("Unexpected end of serialized data");
       }
+      const value = buffer.toString("utf8", position, end);
+      position = end + 1;
+      return value;
+    };
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: responseText,
-          },
-        ],
-        isError: !isSuccess,
-      };
+    const parse = () => {
+      const type = String.fromCharCode(buffer[position]);
+      position += 2;
+
+      switch (type) {
+        case "N":
+          return null;
+        case "b":
+          return readUntil(";") === "1";
+        case "i":
+        case "d":
+          return Number(readUntil(";"));
+        case "s": {
+          // Lengths are in bytes, so slice the buffer rather than the string
+          const length = Number(readUntil(":"));
+          const value = buffer.toString("utf8", position + 1, position + 1 + length);
+          position += length + 3;
+          return value;
+        }
+        case "a": {
+          const count = Number(readUntil(":"));
+          position += 1;
+          const result = {};
+          for (let i = 0; i < count; i++) {
+            const key = parse();
+            result[key] = parse();
+          }
+          position += 1;
+          return result;
+        }
+        default:
+          throw new Error(`Unsupported serialized type: ${type}`);
+      }
+    };
+
+    try {
+      return parse();
     } catch (error) {
-      const commandStr = `roll composer ${command}`;
+      return null;
+    }
+  }
+
+  /**
+   * Render command output for a text response
+   * Output is inlined while it fits the output budget. Larger output is saved to a
+   * log and summarized as head, tail and detected error lines; explicitly saved
+   * output gets a short preview.
+   * @returns {string} - Output section of the response
+   */
+  formatCommandOutput(stdout, stderr, commandStr, cwd, saveToFile = false) {
+    const out = stdout || "";
+    const err = stderr || "";
+    const totalLength = out.length + err.length;
+    const budget = this.outputBudget;
+    const overBudget = budget > 0 && totalLength > budget;
+
+    const logFilePath =
+      saveToFile || overBudget ? this.saveOutputToFile(out, err, commandStr, cwd) : null;
+
+    if (!logFilePath) {
+      return `Output:
+${out || "(no output)"}
+
+Errors:
+${err || "(no errors)"}`;
+    }
+
+    if (saveToFile) {
+      return `📁 Full output saved to file:
+${logFilePath}
+
+Output Preview (first 500 chars):
+${out.substring(0, 500) || "(no output)"}${out.length > 500 ? "\n...(truncated)" : ""}
 
-      // Save error output to file only when explicitly requested
-      const logFilePath = save_output_to_file
-        ? this.saveOutputToFile(error.stdout, error.stderr, commandStr, absoluteProjectPath)
-        : null;
+Errors Preview (first 500 chars):
+${err.substring(0, 500) || "(no errors)"}${err.length > 500 ? "\n...(truncated)" : ""}`;
+    }
 
-      let responseText;
-      if (logFilePath) {
-        responseText = `Failed to execute Composer command:
+    // Give stderr up to a quarter of the budget, split the rest between head and tail
+    const errBudget = Math.min(err.length, Math.floor(budget / 4));
+    const half = Math.floor((budget - errBudget) / 2);
+    const outHead = out.length > half * 2 ? out.substring(0, half) : out;
+    const outTail = out.length > half * 2 ? out.substring(out.length - half) : "";
+    const errTail = err.substring(err.length - errBudget);
+    const errorLines = this.extractErrorLines(`${out}\n${err}`);
+    const logFile = logFilePath.split("/").pop();
 
-Command: ${commandStr}
-Working directory: ${absoluteProjectPath}
-Error: ${error.message}
+    return `⚠️ Output is ${totalLength} characters, over the ${budget} character budget. Full output saved to file:
+${logFilePath}
 
-📁 Full output saved to file:
-${logFilePath}`;
-      } else {
-        responseText = `Failed to execute Composer command:
+Fetch more with rolldev_log_read (log: "${logFile}") using start_line/line_count or byte_offset/byte_length.
 
-Command: ${commandStr}
-Working directory: ${absoluteProjectPath}
-Error: ${error.message}
+Detected error lines (${errorLines.length}):
+${errorLines.length > 0 ? errorLines.join("\n") : "(none)"}
 
-Output:
-${error.stdout || "(no output)"}
+Output (first ${outHead.length} chars):
+${outHead || "(no output)"}${outTail ? `
 
-Errors:
-${error.stderr || "(no errors)"}`;
-      }
+...(${out.length - outHead.length - outTail.length} chars omitted)...
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: responseText,
-          },
-        ],
-        isError: true,
-      };
-    }
+Output (last ${outTail.length} chars):
+${outTail}` : ""}
+
+Errors${errTail.length < err.length ? ` (last ${errTail.length} chars)` : ""}:
+${errTail || "(no errors)"}`;
   }
 
-  async executeRollCommand(project_path, rollArgs, description, timeoutMs = 300000, saveToFile = false) {
-    if (!project_path) {
-      throw new Error("project_path is required");
+  /**
+   * Pick out lines that look like errors so they survive output truncation
+   */
+  extractErrorLines(text, limit = 20) {
+    const errorLines = [];
+
+    for (const line of text.split(/\r?\n/)) {
+      const trimmed = line.replace(/\x1b\[[0-9;]*[A-Za-z]/g, "").trim();
+      if (
+        trimmed &&
+        /\b(error|exception|fatal|failed|failure|critical)\b/i.test(trimmed) &&
+        !errorLines.includes(trimmed)
+      ) {
+        errorLines.push(trimmed.substring(0, 500));
+        if (errorLines.length >= limit) {
+          break;
+        }
+      }
     }
 
-    const normalizedProjectPath = project_path.replace(/\/+$/, "");
-    const absoluteProjectPath = resolve(normalizedProjectPath);
+    return errorLines;
+  }
 
-    if (!existsSync(absoluteProjectPath)) {
-      throw new Error(
-        `Project directory does not exist: ${absoluteProjectPath}`,
+  /**
+   * Resolve the project and run a roll command in it, formatting the output as text
+   * @param {object} options - `timeoutMs`, `saveToFile`, `background` to start a tracked job,
+   *   and `requireProject: false` for commands that do not need a project (system services)
+   */
+  async executeRollCommand(projectArgs, rollArgs, description, options = {}) {
+    const { timeoutMs = 300000, saveToFile = false, background = false, requireProject = true } = options;
+    const absoluteProjectPath = await this.resolveProject(projectArgs, { requireProject });
+
+    if (background) {
+      const job = await this.executeCommand(
+        "roll",
+        rollArgs,
+        absoluteProjectPath,
+        timeoutMs,
+        { background: true, description, saveToFile },
       );
+      return this.jobStartedResponse(job);
     }
 
     try {
@@ -764,44 +6365,22 @@ ${error.stderr || "(no errors)"}`;
       const commandStr = `roll ${rollArgs.join(" ")}`;
       const isSuccess = result.code === 0;
 
-      // Save output to file only when explicitly requested
-      const logFilePath = saveToFile
-        ? this.saveOutputToFile(result.stdout, result.stderr, commandStr, absoluteProjectPath)
-        : null;
-
-      let responseText;
-      if (logFilePath) {
-        // Output saved to file
-        const outputPreview = (result.stdout || "").substring(0, 500);
-        const stderrPreview = (result.stderr || "").substring(0, 500);
-        responseText = `${description} ${isSuccess ? "completed successfully" : "failed"}!
-
-Command: ${commandStr}
-Working directory: ${absoluteProjectPath}
-Exit Code: ${result.code}${result.timedOut ? " (TIMED OUT)" : ""}
-
-📁 Full output saved to file:
-${logFilePath}
-
-Output Preview (first 500 chars):
-${outputPreview || "(no output)"}${(result.stdout || "").length > 500 ? "\n...(truncated)" : ""}
+      // Saved to a file when requested, or automatically when over the output budget
+      const output = this.formatCommandOutput(
+        result.stdout,
+        result.stderr,
+        commandStr,
+        absoluteProjectPath,
+        saveToFile,
+      );
 
-Errors Preview (first 500 chars):
-${stderrPreview || "(no errors)"}${(result.stderr || "").length > 500 ? "\n...(truncated)" : ""}`;
-      } else {
-        // Return inline output
-        responseText = `${description} ${isSuccess ? "completed successfully" : "failed"}!
+      const responseText = `${description} ${isSuccess ? "completed successfully" : "failed"}!
 
 Command: ${commandStr}
 Working directory: ${absoluteProjectPath}
 Exit Code: ${result.code}${result.timedOut ? " (TIMED OUT)" : ""}
 
-Output:
-${result.stdout || "(no output)"}
-
-Errors:
-${result.stderr || "(no errors)"}`;
-      }
+${output}`;
 
       return {
         content: [
@@ -862,6 +6441,7 @@ ${error.stderr || "(no errors)"}`;
         project_name,
         magento_version = "2.4.x",
         target_directory = "",
+        background = false,
       } = args;
 
       // Build the command arguments
@@ -881,6 +6461,20 @@ ${error.stderr || "(no errors)"}`;
       // 15 minute timeout for full Magento 2 initialization (very long-running)
       const timeoutMs = 900000;
 
+      if (background) {
+        const job = await this.executeCommand(
+          "roll",
+          rollCommand,
+          workingDir,
+          timeoutMs,
+          {
+            background: true,
+            description: `Initializing Magento 2 project '${project_name}'`,
+          },
+        );
+        return this.jobStartedResponse(job);
+      }
+
       // Execute the magento2-init command
       const result = await this.executeCommand(
         "roll",
@@ -930,23 +6524,68 @@ ${error.stderr || "(no errors)"}`;
     }
   }
 
-  executeCommand(command, args = [], cwd = process.cwd(), timeoutMs = 300000) {
+  /**
+   * Spawn a command and collect its output, killing it after timeoutMs
+   * @param {object} options - Optional streams: `stdin` is piped into the process,
+   *   `stdout` receives stdout instead of it being buffered (for large dumps).
+   *   `background: true` starts the command as a tracked job and resolves with the
+   *   job right away; `onStart` and `onOutput` hooks are used by the job tracking.
+   *   `bufferLimit` keeps only the last that many characters of stdout and stderr
+   *   (0 keeps none, for callers that consume `onOutput`); the result then has `droppedChars`.
+   */
+  executeCommand(command, args = [], cwd = process.cwd(), timeoutMs = 300000, options = {}) {
+    if (options.background) {
+      const { background, ...jobOptions } = options;
+      return Promise.resolve(this.startJob(command, args, cwd, timeoutMs, jobOptions));
+    }
+
     return new Promise((resolve, reject) => {
       const childProcess = spawn(command, args, {
         cwd,
         stdio: ["pipe", "pipe", "pipe"],
       });
 
+      if (options.stdin) {
+        // The process may exit before consuming all input (e.g. on a SQL error)
+        childProcess.stdin.on("error", () => {});
+        options.stdin.pipe(childProcess.stdin);
+      }
+
       let stdout = "";
       let stderr = "";
       let resolved = false;
+      let exited = false;
+
+      const bufferLimit = options.bufferLimit ?? Infinity;
+      let droppedChars = 0;
+      const buffer = (current, text) => {
+        const combined = current + text;
+        if (combined.length <= bufferLimit) {
+          return combined;
+        }
+        droppedChars += combined.length - bufferLimit;
+        return combined.slice(combined.length - bufferLimit);
+      };
+
+      // Stream output to the caller when the tool call carries a progress token
+      const { server, progressToken } = this.requestContext.getStore() || {};
+      const progress =
+        progressToken !== undefined ? this.createProgressReporter(server, progressToken) : null;
+
+      // Record the command for the tool call's audit entry
+      const audit = this.requestContext.getStore()?.audit;
+      const auditCommand = { command: this.auditCommandString(command, args), exit_code: null, timed_out: false };
+      audit?.commands.push(auditCommand);
 
       // Helper to resolve only once
       const resolveOnce = (result) => {
         if (!resolved) {
           resolved = true;
           clearTimeout(timeout);
-          resolve(result);
+          progress?.stop();
+          auditCommand.exit_code = result.code;
+          auditCommand.timed_out = Boolean(result.timedOut);
+          resolve(droppedChars > 0 ? { ...result, droppedChars } : result);
         }
       };
 
@@ -954,46 +6593,79 @@ ${error.stderr || "(no errors)"}`;
         if (!resolved) {
           resolved = true;
           clearTimeout(timeout);
+          progress?.stop();
+          auditCommand.error = error.message;
           reject(error);
         }
       };
 
-      // Timeout handler
-      const timeout = setTimeout(() => {
-        if (!resolved) {
-          // Try graceful termination first
-          childProcess.kill('SIGTERM');
+      // Stop the process (on timeout or cancellation) and resolve with what we have
+      const terminate = (reason, extra = {}) => {
+        if (resolved) {
+          return false;
+        }
 
-          // Force kill after 5 seconds if still running
-          setTimeout(() => {
-            if (!resolved) {
-              childProcess.kill('SIGKILL');
-            }
-          }, 5000);
+        // Try graceful termination first
+        childProcess.kill('SIGTERM');
 
-          resolveOnce({
-            stdout,
-            stderr: stderr + `\n[Command timed out after ${timeoutMs / 1000}s]`,
-            code: -1,
-            timedOut: true,
-          });
-        }
+        // Force kill after 5 seconds if still running
+        setTimeout(() => {
+          if (!exited) {
+            childProcess.kill('SIGKILL');
+          }
+        }, 5000);
+
+        resolveOnce({
+          stdout,
+          stderr: stderr + `\n[${reason}]`,
+          code: -1,
+          ...extra,
+        });
+        return true;
+      };
+
+      // Timeout handler
+      const timeout = setTimeout(() => {
+        terminate(`Command timed out after ${timeoutMs / 1000}s`, { timedOut: true });
       }, timeoutMs);
 
-      childProcess.stdout.on("data", (data) => {
-        stdout += data.toString();
-      });
+      if (options.onStart) {
+        options.onStart({
+          pid: childProcess.pid,
+          cancel: () => terminate("Command cancelled", { cancelled: true }),
+        });
+      }
+
+      if (options.stdout) {
+        childProcess.stdout.pipe(options.stdout);
+      } else {
+        childProcess.stdout.on("data", (data) => {
+          const text = data.toString();
+          stdout = buffer(stdout, text);
+          if (options.onOutput) {
+            options.onOutput("stdout", text);
+          }
+          progress?.write(text);
+        });
+      }
 
       childProcess.stderr.on("data", (data) => {
-        stderr += data.toString();
+        const text = data.toString();
+        stderr = buffer(stderr, text);
+        if (options.onOutput) {
+          options.onOutput("stderr", text);
+        }
+        progress?.write(text);
       });
 
       childProcess.on("close", (code) => {
+        exited = true;
         resolveOnce({ stdout, stderr, code });
       });
 
       // Also listen to 'exit' as backup (some processes emit exit but not close)
       childProcess.on("exit", (code) => {
+        exited = true;
         resolveOnce({ stdout, stderr, code });
       });
 
@@ -1008,8 +6680,486 @@ ${error.stderr || "(no errors)"}`;
     });
   }
 
+  /**
+   * Build a throttled reporter that turns command output into MCP progress notifications
+   * Each notification carries the latest output lines and, when a Composer or
+   * Symfony/Magento progress bar is recognised, its percentage.
+   * @param {Server} server - MCP server handling the tool call
+   * @param {string|number} progressToken - Token from the tool call's _meta
+   * @returns {{write: Function, stop: Function}} - Output sink and cleanup
+   */
+  createProgressReporter(server, progressToken) {
+    const recentLines = [];
+    let partialLine = "";
+    let lastLineWasBar = false;
+    let percent = null;
+    let sent = 0;
+    let lastSentAt = 0;
+    let pending = null;
+    let stopped = false;
+
+    const send = () => {
+      pending = null;
+      if (stopped || recentLines.length === 0) {
+        return;
+      }
+
+      lastSentAt = Date.now();
+      sent++;
+
+      // progress must increase with every notification, so it counts updates;
+      // the parsed percentage is reported alongside it
+      server
+        .notification({
+          method: "notifications/progress",
+          params: {
+            progressToken,
+            progress: sent,
+            ...(percent !== null ? { percent } : {}),
+            message: `${percent !== null ? `[${percent}%] ` : ""}${recentLines.join("\n")}`,
+          },
+        })
+        .catch(() => {});
+    };
+
+    return {
+      write: (text) => {
+        // Progress bars redraw with \r, so treat it as a line break too
+        const parts = (partialLine + text).split(/\r\n|\r|\n/);
+        partialLine = parts.pop();
+
+        for (const part of [...parts, partialLine]) {
+          const line = part.replace(/\x1b\[[0-9;]*[A-Za-z]/g, "").trimEnd();
+          if (!line.trim()) {
+            continue;
+          }
+
+          const linePercent = this.parseProgressPercent(line);
+          if (linePercent !== null) {
+            percent = linePercent;
+          }
+
+          if (part !== partialLine) {
+            // A redrawn progress bar replaces its previous frame
+            if (linePercent !== null && lastLineWasBar) {
+              recentLines.pop();
+            }
+            recentLines.push(line);
+            lastLineWasBar = linePercent !== null;
+            if (recentLines.length > 5) {
+              recentLines.shift();
+            }
+          }
+        }
+
+        if (pending || stopped) {
+          return;
+        }
+
+        const wait = RollDevServer.PROGRESS_INTERVAL_MS - (Date.now() - lastSentAt);
+        if (wait <= 0) {
+          send();
+        } else {
+          pending = setTimeout(send, wait);
+        }
+      },
+      stop: () => {
+        stopped = true;
+        clearTimeout(pending);
+      },
+    };
+  }
+
+  /**
+   * Extract a percentage from a progress bar line, e.g. Symfony's
+   * " 3/9 [=========>------------------]  33%" or Composer's "Downloading (45%)"
+   * @returns {number|null} - Percentage between 0 and 100, or null
+   */
+  parseProgressPercent(line) {
+    const patterns = [
+      /\d+\/\d+\s*\[[^\]]*\]\s*(\d{1,3})%/,
+      /^\s*(\d{1,3})%\s*\[[^\]]*\]/,
+      /\((\d{1,3})%\)/,
+      /\bProgress:?\s*(\d{1,3})%/i,
+    ];
+
+    for (const pattern of patterns) {
+      const match = line.match(pattern);
+      if (match) {
+        const value = parseInt(match[1]);
+        if (value <= 100) {
+          return value;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Start a command as a tracked background job
+   * The job keeps a combined stdout/stderr buffer that can be read from an offset
+   * while the command runs; finished jobs are kept for later inspection.
+   * @param {object} options - { description, saveToFile }
+   * @returns {object} - The job record
+   */
+  startJob(command, args, cwd, timeoutMs, options = {}) {
+    const { description = "", saveToFile = false } = options;
+    const commandStr = `${command} ${args.join(" ")}`;
+
+    const job = {
+      id: randomUUID(),
+      command: commandStr,
+      cwd,
+      description,
+      status: "running",
+      pid: null,
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      exit_code: null,
+      timed_out: false,
+      timeout_ms: timeoutMs,
+      log_file: null,
+      error: null,
+      // Absolute offset of the first character still held in `output`
+      output_start: 0,
+      output: "",
+      cancel: null,
+    };
+
+    this.jobs.set(job.id, job);
+    this.pruneJobs();
+
+    // The job's own command runs outside the audit context, so record it here;
+    // its outcome is read back through rolldev_job_status
+    this.requestContext.getStore()?.audit?.commands.push({
+      command: this.auditCommandString(command, args),
+      job_id: job.id,
+      exit_code: null,
+      timed_out: false,
+    });
+
+    // Run outside the tool call's context: the call returns before the job ends,
+    // so progress notifications for it would reference a finished request
+    this.requestContext.exit(() =>
+      this.executeCommand(command, args, cwd, timeoutMs, {
+        onStart: ({ pid, cancel }) => {
+          job.pid = pid;
+          job.cancel = cancel;
+        },
+        onOutput: (stream, text) => this.appendJobOutput(job, text),
+        // The job keeps its own bounded copy; only a saved log needs the process output
+        bufferLimit: saveToFile ? RollDevServer.JOB_OUTPUT_LIMIT : 0,
+      }),
+    )
+      .then((result) => {
+        if (result.cancelled) {
+          job.status = "cancelled";
+        } else if (result.timedOut) {
+          job.status = "timed_out";
+        } else {
+          job.status = result.code === 0 ? "completed" : "failed";
+        }
+        job.exit_code = result.code;
+        job.timed_out = result.timedOut || false;
+        job.log_file = saveToFile
+          ? this.saveOutputToFile(result.stdout, result.stderr, commandStr, cwd, result.droppedChars)
+          : null;
+      })
+      .catch((error) => {
+        job.status = "failed";
+        job.exit_code = -1;
+        job.error = error.message;
+      })
+      .finally(() => {
+        job.finished_at = new Date().toISOString();
+        job.cancel = null;
+      });
+
+    return job;
+  }
+
+  appendJobOutput(job, text) {
+    job.output += text;
+
+    // Keep memory bounded for chatty commands; readers are told what was dropped
+    const overflow = job.output.length - RollDevServer.JOB_OUTPUT_LIMIT;
+    if (overflow > 0) {
+      job.output = job.output.slice(overflow);
+      job.output_start += overflow;
+    }
+  }
+
+  /**
+   * Drop the oldest finished jobs once the history limit is exceeded
+   */
+  pruneJobs() {
+    const finished = [...this.jobs.values()].filter((job) => job.status !== "running");
+    const excess = this.jobs.size - RollDevServer.JOB_HISTORY_LIMIT;
+
+    for (const job of finished.slice(0, Math.max(0, excess))) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error(
+        `Unknown job: ${jobId}. Use rolldev_job_list to see tracked jobs.`,
+      );
+    }
+    return job;
+  }
+
+  serializeJob(job) {
+    const finishedAt = job.finished_at ? Date.parse(job.finished_at) : Date.now();
+
+    return {
+      job_id: job.id,
+      status: job.status,
+      command: job.command,
+      working_directory: job.cwd,
+      description: job.description,
+      pid: job.pid,
+      started_at: job.started_at,
+      finished_at: job.finished_at,
+      duration_ms: finishedAt - Date.parse(job.started_at),
+      exit_code: job.exit_code,
+      timed_out: job.timed_out,
+      output_length: job.output_start + job.output.length,
+      log_file: job.log_file,
+      error: job.error,
+    };
+  }
+
+  /**
+   * Response for a command that was started in the background
+   */
+  jobStartedResponse(job) {
+    return this.jsonResponse({
+      success: true,
+      background: true,
+      ...this.serializeJob(job),
+      message: `Started in the background. Poll with rolldev_job_status or read output with rolldev_job_output using job_id ${job.id}.`,
+    });
+  }
+
+  async getJobStatus(args) {
+    const { job_id } = args;
+    const job = this.getJob(job_id);
+
+    return this.jsonResponse({
+      success: true,
+      ...this.serializeJob(job),
+      // Last few lines give a quick idea of progress without paging the output
+      output_tail: job.output.split("\n").slice(-10).join("\n"),
+    });
+  }
+
+  async getJobOutput(args) {
+    const { job_id, offset = 0, max_chars = 20000 } = args;
+    const job = this.getJob(job_id);
+
+    const totalLength = job.output_start + job.output.length;
+    const start = Math.max(offset, job.output_start);
+    const data = job.output.slice(start - job.output_start, start - job.output_start + max_chars);
+    const nextOffset = start + data.length;
+
+    return this.jsonResponse({
+      success: true,
+      job_id: job.id,
+      status: job.status,
+      offset: start,
+      next_offset: nextOffset,
+      total_length: totalLength,
+      // Characters before output_start were discarded to bound memory use
+      skipped_chars: start - offset,
+      has_more: nextOffset < totalLength,
+      complete: job.status !== "running" && nextOffset >= totalLength,
+      data,
+    });
+  }
+
+  async listJobs(args = {}) {
+    const { status } = args;
+    const jobs = [...this.jobs.values()]
+      .filter((job) => !status || job.status === status)
+      .reverse()
+      .map((job) => this.serializeJob(job));
+
+    return this.jsonResponse({
+      success: true,
+      count: jobs.length,
+      jobs,
+    });
+  }
+
+  async cancelJob(args) {
+    const { job_id } = args;
+    const job = this.getJob(job_id);
+
+    if (job.status !== "running" || !job.cancel) {
+      return this.jsonResponse(
+        {
+          success: false,
+          error: `Job is not running (status: ${job.status})`,
+          ...this.serializeJob(job),
+        },
+        true,
+      );
+    }
+
+    // Same SIGTERM, then SIGKILL after 5 seconds, as a command timeout
+    job.cancel();
+    // Let the job's completion handler record the cancelled status
+    await new Promise((resolve) => setImmediate(resolve));
+
+    return this.jsonResponse({
+      success: true,
+      message: "Cancellation requested (SIGTERM, SIGKILL after 5s if still running)",
+      ...this.serializeJob(job),
+    });
+  }
+
+  /**
+   * Read transport settings from CLI flags, falling back to environment variables
+   * @param {string[]} argv - Command line arguments after the script name
+   * @param {Object} env - Environment variables
+   * @returns {Object} - transport (stdio or http), host, port and bearer token
+   */
+  parseTransportOptions(argv, env) {
+    const valueFlags = ["transport", "host", "port", "token"];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+      const match = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+      if (!match) {
+        continue;
+      }
+
+      const [, name, inline] = match;
+      if (!valueFlags.includes(name)) {
+        flags[name] = inline ?? true;
+        continue;
+      }
+
+      // Accept both --port=4000 and --port 4000
+      const value = inline ?? (argv[i + 1] !== undefined && !argv[i + 1].startsWith("--") ? argv[++i] : undefined);
+      if (!value) {
+        throw new Error(`--${name} requires a value`);
+      }
+      flags[name] = value;
+    }
+
+    const transport = flags.http ? "http" : flags.transport || env.ROLLDEV_TRANSPORT || "stdio";
+    if (!["stdio", "http"].includes(transport)) {
+      throw new Error(`Unknown transport: ${transport} (expected stdio or http)`);
+    }
+
+    const port = Number(flags.port ?? env.ROLLDEV_HTTP_PORT ?? 3333);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new Error(`Invalid HTTP port: ${flags.port ?? env.ROLLDEV_HTTP_PORT}`);
+    }
+
+    return {
+      transport,
+      host: flags.host || env.ROLLDEV_HTTP_HOST || "127.0.0.1",
+      port,
+      token: flags.token || env.ROLLDEV_HTTP_TOKEN || null,
+    };
+  }
+
+  /**
+   * Check the request's bearer token in constant time
+   */
+  isAuthorized(req, token) {
+    const match = (req.headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+      return false;
+    }
+
+    const provided = Buffer.from(match[1].trim());
+    const expected = Buffer.from(token);
+    return provided.length === expected.length && timingSafeEqual(provided, expected);
+  }
+
+  /**
+   * Serve MCP over HTTP/SSE: GET /sse opens a session, POST /messages?sessionId=...
+   * delivers its requests. Every request needs the bearer token.
+   */
+  async runHttp({ host, port, token }) {
+    let bearerToken = token;
+    if (!bearerToken) {
+      bearerToken = randomBytes(24).toString("hex");
+      console.error(`ROLLDEV_HTTP_TOKEN is not set; generated a token for this run: ${bearerToken}`);
+    }
+
+    const sessions = new Map();
+
+    const httpServer = createHttpServer(async (req, res) => {
+      if (!this.isAuthorized(req, bearerToken)) {
+        res.writeHead(401, { "WWW-Authenticate": "Bearer" }).end("Unauthorized");
+        return;
+      }
+
+      const url = new URL(req.url, "http://localhost");
+
+      try {
+        if (req.method === "GET" && url.pathname === "/sse") {
+          const transport = new SSEServerTransport("/messages", res);
+          const server = this.createMcpServer();
+
+          sessions.set(transport.sessionId, transport);
+          this.servers.add(server);
+          server.onclose = () => {
+            sessions.delete(transport.sessionId);
+            this.servers.delete(server);
+          };
+
+          await server.connect(transport);
+          return;
+        }
+
+        if (req.method === "POST" && url.pathname === "/messages") {
+          const transport = sessions.get(url.searchParams.get("sessionId"));
+          if (!transport) {
+            res.writeHead(404).end("Unknown session");
+            return;
+          }
+
+          await transport.handlePostMessage(req, res);
+          return;
+        }
+
+        res.writeHead(404).end("Not found");
+      } catch (error) {
+        console.error(`HTTP request failed: ${error.message}`);
+        if (!res.headersSent) {
+          res.writeHead(500).end(error.message);
+        }
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      httpServer.once("error", reject);
+      httpServer.listen(port, host, resolve);
+    });
+
+    const address = httpServer.address();
+    console.error(`RollDev MCP server listening on http://${host}:${address.port}/sse`);
+    return httpServer;
+  }
+
   async run() {
+    const options = this.parseTransportOptions(process.argv.slice(2), process.env);
+
+    if (options.transport === "http") {
+      await this.runHttp(options);
+      return;
+    }
+
     const transport = new StdioServerTransport();
+    this.servers.add(this.server);
     await this.server.connect(transport);
     console.error("RollDev MCP server running on stdio");
   }
@@ -0,0 +1,216 @@
+const path = require('path');
+
+describe('Command Policy', () => {
+  // Test the policy matching and evaluation logic separately
+  const matchPolicyPattern = (pattern, command) => {
+    const normalizedCommand = command.trim().replace(/\s+/g, ' ');
+    const source = pattern
+      .trim()
+      .replace(/\s+/g, ' ')
+      .split('*')
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+
+    return new RegExp(`^${source}( .*)?$`).test(normalizedCommand);
+  };
+
+  const composerAliases = {
+    i: 'install',
+    u: 'update',
+    upgrade: 'update',
+    r: 'require',
+    rm: 'remove',
+    uninstall: 'remove',
+    run: 'run-script',
+    dumpautoload: 'dump-autoload',
+    info: 'show',
+    why: 'depends',
+    'why-not': 'prohibits',
+    selfupdate: 'self-update',
+    clearcache: 'clear-cache',
+    cc: 'clear-cache',
+    browse: 'home'
+  };
+
+  const policyCommandCandidates = (tool, command, layers) => {
+    const tokens = command.trim().split(/\s+/).filter(Boolean);
+    if (!['magento', 'composer'].includes(tool)) {
+      return [tokens.join(' ')];
+    }
+
+    // Global options may precede the command name; only Composer's working directory takes a value
+    const leading = [];
+    let index = 0;
+    while (index < tokens.length && tokens[index].startsWith('-')) {
+      leading.push(tokens[index]);
+      if (tool === 'composer' && ['-d', '--working-dir'].includes(tokens[index]) && index + 1 < tokens.length) {
+        leading.push(tokens[++index]);
+      }
+      index++;
+    }
+    if (index >= tokens.length) {
+      return [tokens.join(' ')];
+    }
+
+    const name = tokens[index];
+    const rest = [...leading, ...tokens.slice(index + 1)];
+
+    // Symfony accepts any name whose colon-separated parts start with the given parts
+    const abbreviation = new RegExp(
+      `^${name
+        .split(':')
+        .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[^:]*:')}[^:]*$`,
+      'i'
+    );
+
+    const names = new Set([name]);
+    const targets = layers
+      .flatMap(({ policy }) => ['allow', 'deny', 'confirm'].flatMap((rule) => policy[tool]?.[rule] || []))
+      .map((pattern) => pattern.trim().split(/\s+/)[0]);
+    const nameParts = name.split(':');
+
+    for (const target of targets) {
+      const namespace = target.match(/^([^:*]+):\*$/);
+      if (!target.includes('*') && abbreviation.test(target)) {
+        names.add(target);
+      } else if (namespace && nameParts.length > 1 && namespace[1].toLowerCase().startsWith(nameParts[0].toLowerCase())) {
+        // An abbreviated namespace, matched against "cache:*"-style patterns
+        names.add([namespace[1], ...nameParts.slice(1)].join(':'));
+      }
+    }
+    if (tool === 'composer') {
+      for (const [alias, target] of Object.entries(composerAliases)) {
+        if (abbreviation.test(alias)) {
+          names.add(target);
+        }
+      }
+    }
+
+    return [tokens.join(' '), ...[...names].map((candidate) => [candidate, ...rest].join(' '))];
+  };
+
+  const checkCommandPolicy = (layers, tool, command, confirm = false) => {
+    // bin/magento run as a PHP script must also pass the magento section
+    if (tool === 'php') {
+      const [script = '', ...scriptArgs] = command.trim().split(/\s+/);
+      if (/(^|\/)bin\/magento$/.test(path.posix.normalize(script))) {
+        const magentoError = checkCommandPolicy(layers, 'magento', scriptArgs.join(' '), confirm);
+        if (magentoError) {
+          return magentoError;
+        }
+      }
+    }
+
+    const candidates = policyCommandCandidates(tool, command, layers);
+    const matches = (pattern) => candidates.some((candidate) => matchPolicyPattern(pattern, candidate));
+
+    for (const { source, policy } of layers) {
+      const section = policy[tool] || {};
+
+      const denied = (section.deny || []).find(matches);
+      if (denied) {
+        return { rule: 'deny', pattern: denied, policy: source };
+      }
+
+      const allow = section.allow || [];
+      if (allow.length > 0 && !allow.some(matches)) {
+        return { rule: 'allow', pattern: null, policy: source };
+      }
+    }
+
+    if (!confirm) {
+      for (const { source, policy } of layers) {
+        const pattern = (policy[tool]?.confirm || []).find(matches);
+        if (pattern) {
+          return { rule: 'confirm', pattern, policy: source };
+        }
+      }
+    }
+
+    return null;
+  };
+
+  const defaultLayer = {
+    source: 'default',
+    policy: {
+      magento: { confirm: ['setup:uninstall', 'setup:rollback'] },
+      composer: { confirm: ['remove *'] }
+    }
+  };
+
+  test('should match commands with and without trailing arguments', () => {
+    expect(matchPolicyPattern('setup:upgrade', 'setup:upgrade')).toBe(true);
+    expect(matchPolicyPattern('setup:upgrade', 'setup:upgrade --keep-generated')).toBe(true);
+    expect(matchPolicyPattern('setup:upgrade', 'setup:upgrader')).toBe(false);
+  });
+
+  test('should treat * as a wildcard and everything else literally', () => {
+    expect(matchPolicyPattern('remove magento/*', 'remove   magento/module-catalog')).toBe(true);
+    expect(matchPolicyPattern('cache:*', 'cache:flush full_page')).toBe(true);
+    expect(matchPolicyPattern('setup.upgrade', 'setupXupgrade')).toBe(false);
+  });
+
+  test('should require confirmation for default risky commands', () => {
+    expect(checkCommandPolicy([defaultLayer], 'magento', 'setup:uninstall -n')).toEqual({
+      rule: 'confirm',
+      pattern: 'setup:uninstall',
+      policy: 'default'
+    });
+    expect(checkCommandPolicy([defaultLayer], 'magento', 'setup:uninstall -n', true)).toBeNull();
+    expect(checkCommandPolicy([defaultLayer], 'composer', 'require vendor/module')).toBeNull();
+  });
+
+  test('should resolve Magento command abbreviations and leading options', () => {
+    for (const command of ['s:uninstall', 'setup:uni', 'SETUP:UNINSTALL', '--no-interaction setup:uninstall', '-n s:rollback -f']) {
+      expect(checkCommandPolicy([defaultLayer], 'magento', command)).toMatchObject({ rule: 'confirm' });
+    }
+    expect(checkCommandPolicy([defaultLayer], 'magento', 's:upgrade')).toBeNull();
+    expect(checkCommandPolicy([defaultLayer], 'magento', 'setup')).toBeNull();
+  });
+
+  test('should expand abbreviated namespaces against namespace patterns', () => {
+    const layers = [{ source: 'server.json', policy: { magento: { deny: ['cache:*'] } } }];
+
+    expect(checkCommandPolicy(layers, 'magento', 'c:flush')).toMatchObject({ rule: 'deny', pattern: 'cache:*' });
+    expect(checkCommandPolicy(layers, 'magento', 'indexer:reindex')).toBeNull();
+  });
+
+  test('should resolve Composer aliases, abbreviations and leading options', () => {
+    for (const command of ['rm vendor/module', 'uninstall vendor/module', 'rem vendor/module', '-n remove vendor/module', '--working-dir /app rm vendor/module']) {
+      expect(checkCommandPolicy([defaultLayer], 'composer', command)).toMatchObject({ rule: 'confirm', pattern: 'remove *' });
+    }
+    expect(checkCommandPolicy([defaultLayer], 'composer', '-n require vendor/module')).toBeNull();
+  });
+
+  test('should check bin/magento run as a PHP script against the magento section', () => {
+    expect(checkCommandPolicy([defaultLayer], 'php', 'bin/magento setup:uninstall')).toMatchObject({ rule: 'confirm', pattern: 'setup:uninstall' });
+    expect(checkCommandPolicy([defaultLayer], 'php', './bin/magento -n s:uninstall')).toMatchObject({ rule: 'confirm' });
+    expect(checkCommandPolicy([defaultLayer], 'php', 'bin/magento cache:flush')).toBeNull();
+    expect(checkCommandPolicy([defaultLayer], 'php', 'scripts/setup:uninstall.php')).toBeNull();
+  });
+
+  test('should let a project policy deny commands even when confirmed', () => {
+    const projectLayer = {
+      source: '/project/.rolldev/policy.json',
+      policy: { magento: { deny: ['setup:uninstall'] } }
+    };
+
+    expect(checkCommandPolicy([defaultLayer, projectLayer], 'magento', 'setup:uninstall', true)).toEqual({
+      rule: 'deny',
+      pattern: 'setup:uninstall',
+      policy: '/project/.rolldev/policy.json'
+    });
+  });
+
+  test('should reject commands missing from an allow list', () => {
+    const layers = [{ source: 'server.json', policy: { php: { allow: ['scripts/*'] } } }];
+
+    expect(checkCommandPolicy(layers, 'php', 'scripts/import.php --dry-run')).toBeNull();
+    expect(checkCommandPolicy(layers, 'php', 'bin/other.php')).toEqual({
+      rule: 'allow',
+      pattern: null,
+      policy: 'server.json'
+    });
+  });
+});
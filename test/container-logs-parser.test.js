@@ -0,0 +1,70 @@
+// No imports needed for this test file
+
+describe('Container Logs Parser', () => {
+  // Test the docker compose logs parsing logic separately
+  const parseContainerLogs = (output) => {
+    const entries = [];
+
+    for (const rawLine of output.split('\n')) {
+      const line = rawLine.replace(/\x1b\[[0-9;]*m/g, '');
+      const match = line.match(/^(\S+?)\s*\|\s?(.*)$/);
+      if (!match) {
+        continue;
+      }
+
+      const container = match[1];
+      const timestamped = match[2].match(/^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})?) (.*)$/);
+
+      entries.push({
+        service: container.replace(/[-_]\d+$/, ''),
+        container,
+        timestamp: timestamped ? timestamped[1] : null,
+        line: timestamped ? timestamped[2] : match[2],
+      });
+    }
+
+    return entries;
+  };
+
+  test('should parse timestamped compose log lines', () => {
+    const output = `nginx-1    | 2024-05-01T10:00:00.123456789Z 172.18.0.1 - - "GET / HTTP/1.1" 502
+php-fpm-1  | 2024-05-01T10:00:01.000000000Z [01-May-2024 10:00:01] WARNING: [pool www] child 12 exited on signal 11`;
+
+    expect(parseContainerLogs(output)).toEqual([
+      {
+        service: 'nginx',
+        container: 'nginx-1',
+        timestamp: '2024-05-01T10:00:00.123456789Z',
+        line: '172.18.0.1 - - "GET / HTTP/1.1" 502'
+      },
+      {
+        service: 'php-fpm',
+        container: 'php-fpm-1',
+        timestamp: '2024-05-01T10:00:01.000000000Z',
+        line: '[01-May-2024 10:00:01] WARNING: [pool www] child 12 exited on signal 11'
+      }
+    ]);
+  });
+
+  test('should handle compose v1 container names and missing timestamps', () => {
+    const entries = parseContainerLogs('shop_db_1 | mysqld: ready for connections.');
+
+    expect(entries).toEqual([
+      { service: 'shop_db', container: 'shop_db_1', timestamp: null, line: 'mysqld: ready for connections.' }
+    ]);
+  });
+
+  test('should strip colors and skip lines without a container prefix', () => {
+    const output = 'Attaching to nginx-1, php-fpm-1\n\x1b[36mnginx-1  |\x1b[0m 2024-05-01T10:00:00Z started\n';
+
+    expect(parseContainerLogs(output)).toEqual([
+      { service: 'nginx', container: 'nginx-1', timestamp: '2024-05-01T10:00:00Z', line: 'started' }
+    ]);
+  });
+
+  test('should keep pipes inside the log line', () => {
+    const [entry] = parseContainerLogs('redis-1  | 2024-05-01T10:00:00Z a | b');
+
+    expect(entry.line).toBe('a | b');
+  });
+});
@@ -0,0 +1,259 @@
+// No imports needed for this test file
+
+describe('Database Query Parser', () => {
+  // Test the mysql batch output parsing logic separately
+  const isMysqlStatusLine = (line) => {
+    return (
+      /^\d+ rows? in set/.test(line) ||
+      /^Empty set/.test(line) ||
+      /^Query OK, /.test(line) ||
+      /^(Warning|Note|Error) \(Code \d+\): /.test(line) ||
+      line === 'Bye'
+    );
+  };
+
+  const parseMysqlValue = (value) => {
+    if (value === 'NULL') {
+      return null;
+    }
+
+    const unescaped = value.replace(/\\([\\tn0])/g, (match, char) => {
+      switch (char) {
+        case 't':
+          return '\t';
+        case 'n':
+          return '\n';
+        case '0':
+          return '\0';
+        default:
+          return '\\';
+      }
+    });
+
+    if (/^-?(0|[1-9]\d*)$/.test(unescaped)) {
+      const number = Number(unescaped);
+      return Number.isSafeInteger(number) ? number : unescaped;
+    }
+
+    if (/^-?(0|[1-9]\d*)\.\d+$/.test(unescaped) && unescaped.replace(/[-.]/g, '').length <= 15) {
+      return Number(unescaped);
+    }
+
+    return unescaped;
+  };
+
+  const parseMysqlBatchOutput = (output) => {
+    const separator = '--------------';
+    const lines = (output || '').replace(/\r/g, '').split('\n');
+    const statements = [];
+
+    let current = null;
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (line === separator) {
+        const sqlLines = [];
+        i++;
+        while (i < lines.length && lines[i] !== separator) {
+          sqlLines.push(lines[i]);
+          i++;
+        }
+        i++;
+        if (i < lines.length && lines[i] === '') {
+          i++;
+        }
+
+        current = {
+          statement: sqlLines.join('\n').trim(),
+          columns: [],
+          rows: [],
+          row_count: null,
+          affected_rows: null,
+          info: null,
+          warnings: [],
+        };
+        statements.push(current);
+
+        const dataLines = [];
+        while (
+          i < lines.length &&
+          lines[i] !== separator &&
+          !isMysqlStatusLine(lines[i])
+        ) {
+          dataLines.push(lines[i]);
+          i++;
+        }
+
+        if (dataLines.length > 0 && !(dataLines.length === 1 && dataLines[0] === '')) {
+          current.columns = dataLines[0].split('\t');
+          current.rows = dataLines
+            .slice(1)
+            .map((row) => row.split('\t').map((value) => parseMysqlValue(value)));
+        }
+        continue;
+      }
+
+      if (current) {
+        const rowsInSet = line.match(/^(\d+) rows? in set/);
+        if (rowsInSet) {
+          current.row_count = parseInt(rowsInSet[1]);
+        } else if (/^Empty set/.test(line)) {
+          current.row_count = 0;
+        }
+
+        const queryOk = line.match(/^Query OK, (\d+) rows? affected/);
+        if (queryOk) {
+          current.affected_rows = parseInt(queryOk[1]);
+        }
+
+        if (/^(Rows matched|Records):/.test(line)) {
+          current.info = line.trim();
+        }
+
+        const warning = line.match(/^(Warning|Note|Error) \(Code (\d+)\): (.*)$/);
+        if (warning) {
+          current.warnings.push({
+            level: warning[1],
+            code: parseInt(warning[2]),
+            message: warning[3],
+          });
+        }
+      }
+
+      i++;
+    }
+
+    return statements;
+  };
+
+  const parseMysqlErrors = (stderr) => {
+    const errors = [];
+
+    for (const line of (stderr || '').replace(/\r/g, '').split('\n')) {
+      const match = line.match(/^ERROR (\d+)(?: \(([0-9A-Z]+)\))?(?: at line (\d+))?: (.*)$/);
+      if (match) {
+        errors.push({
+          code: parseInt(match[1]),
+          sqlstate: match[2] || null,
+          line: match[3] ? parseInt(match[3]) : null,
+          message: match[4],
+        });
+      }
+    }
+
+    return errors;
+  };
+
+  test('should parse a SELECT result set into columns and typed rows', () => {
+    const mockOutput = `--------------
+SELECT entity_id, sku, price FROM catalog_product_entity LIMIT 2
+--------------
+
+entity_id\tsku\tprice
+1\t24-MB01\t34.000000
+2\t0042\tNULL
+2 rows in set
+
+Bye
+`;
+
+    const result = parseMysqlBatchOutput(mockOutput);
+
+    expect(result).toHaveLength(1);
+    expect(result[0]).toMatchObject({
+      statement: 'SELECT entity_id, sku, price FROM catalog_product_entity LIMIT 2',
+      columns: ['entity_id', 'sku', 'price'],
+      rows: [
+        [1, '24-MB01', 34],
+        [2, '0042', null]
+      ],
+      row_count: 2,
+      affected_rows: null
+    });
+  });
+
+  test('should parse affected rows, info and warnings for write statements', () => {
+    const mockOutput = `--------------
+UPDATE core_config_data SET value = 'x' WHERE path LIKE 'web/%'
+--------------
+
+Query OK, 3 rows affected, 1 warning
+Rows matched: 3  Changed: 3  Warnings: 1
+
+Warning (Code 1265): Data truncated for column 'value' at row 1
+Bye
+`;
+
+    const result = parseMysqlBatchOutput(mockOutput);
+
+    expect(result).toHaveLength(1);
+    expect(result[0].columns).toEqual([]);
+    expect(result[0].affected_rows).toBe(3);
+    expect(result[0].info).toBe('Rows matched: 3  Changed: 3  Warnings: 1');
+    expect(result[0].warnings).toEqual([
+      { level: 'Warning', code: 1265, message: "Data truncated for column 'value' at row 1" }
+    ]);
+  });
+
+  test('should split multiple statements and handle empty sets', () => {
+    const mockOutput = `--------------
+SELECT 1 FROM dual WHERE 0
+--------------
+
+Empty set
+
+--------------
+SELECT COUNT(*) AS total FROM sales_order
+--------------
+
+total
+42
+1 row in set
+
+Bye
+`;
+
+    const result = parseMysqlBatchOutput(mockOutput);
+
+    expect(result).toHaveLength(2);
+    expect(result[0].row_count).toBe(0);
+    expect(result[0].rows).toEqual([]);
+    expect(result[1].columns).toEqual(['total']);
+    expect(result[1].rows).toEqual([[42]]);
+  });
+
+  test('should unescape batch mode values and keep unsafe numbers as strings', () => {
+    expect(parseMysqlValue('foo\\tbar\\nbaz')).toBe('foo\tbar\nbaz');
+    expect(parseMysqlValue('C:\\\\path')).toBe('C:\\path');
+    expect(parseMysqlValue('18446744073709551615')).toBe('18446744073709551615');
+    expect(parseMysqlValue('-7')).toBe(-7);
+    expect(parseMysqlValue('')).toBe('');
+  });
+
+  test('should strip carriage returns from TTY output', () => {
+    const mockOutput = '--------------\r\nSELECT 1 AS one\r\n--------------\r\n\r\none\r\n1\r\n1 row in set\r\n';
+
+    const result = parseMysqlBatchOutput(mockOutput);
+
+    expect(result[0].columns).toEqual(['one']);
+    expect(result[0].rows).toEqual([[1]]);
+  });
+
+  test('should parse mysql client errors and ignore client warnings', () => {
+    const mockStderr = `mysql: [Warning] Using a password on the command line interface can be insecure.
+ERROR 1146 (42S02) at line 1: Table 'magento.missing' doesn't exist`;
+
+    const result = parseMysqlErrors(mockStderr);
+
+    expect(result).toEqual([
+      {
+        code: 1146,
+        sqlstate: '42S02',
+        line: 1,
+        message: "Table 'magento.missing' doesn't exist"
+      }
+    ]);
+  });
+});
@@ -0,0 +1,146 @@
+// No imports needed for this test file
+
+describe('.env.roll Configuration', () => {
+  // Test the .env.roll parsing and editing logic separately
+  const parseEnvRoll = (content) => {
+    const lines = content.split('\n');
+    const variables = {};
+
+    lines.forEach((line, index) => {
+      const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+      if (!match) {
+        return;
+      }
+
+      const quoted = match[2].match(/^(["'])(.*)\1$/);
+      variables[match[1]] = {
+        value: quoted ? quoted[2] : match[2],
+        line: index,
+      };
+    });
+
+    return { lines, variables };
+  };
+
+  const normalizeBoolean = (key, value) => {
+    if ([true, 1, '1', 'true'].includes(value)) {
+      return '1';
+    }
+    if ([false, 0, '0', 'false'].includes(value)) {
+      return '0';
+    }
+    throw new Error(`${key} must be a boolean (true/false or 1/0)`);
+  };
+
+  const checkEnvRollText = (key, text) => {
+    if (/[\r\n]/.test(text)) {
+      throw new Error(`${key} must be a single line`);
+    }
+    if (/["'\\]/.test(text)) {
+      throw new Error(`${key} must not contain quotes or backslashes`);
+    }
+    return text;
+  };
+
+  const applyEnvRollChanges = (lines, variables, changes) => {
+    const updatedLines = [...lines];
+    const removedLines = new Set();
+    const appendedLines = [];
+    const changed = [];
+
+    for (const [key, after] of Object.entries(changes)) {
+      const existing = variables[key];
+      const before = existing ? existing.value : null;
+
+      if (before === after) {
+        continue;
+      }
+      changed.push({ key, before, after });
+
+      if (after === null) {
+        removedLines.add(existing.line);
+        continue;
+      }
+
+      const needsQuotes = /[\s#]/.test(after);
+      if (existing) {
+        const [, prefix, rawValue] = updatedLines[existing.line].match(/^(\s*(?:export\s+)?[A-Za-z_][A-Za-z0-9_]*\s*=\s*)(.*?)\s*$/);
+        const quote = rawValue.match(/^(["']).*\1$/)?.[1] ?? (needsQuotes ? '"' : '');
+        updatedLines[existing.line] = `${prefix}${quote}${after}${quote}`;
+      } else {
+        appendedLines.push(needsQuotes ? `${key}="${after}"` : `${key}=${after}`);
+      }
+    }
+
+    const result = updatedLines.filter((line, index) => !removedLines.has(index));
+
+    const insertAt = result.length > 0 && result[result.length - 1] === '' ? result.length - 1 : result.length;
+    result.splice(insertAt, 0, ...appendedLines);
+
+    return { lines: result, changed };
+  };
+
+  const sample = `# Project settings
+ROLL_ENV_NAME=shop
+ROLL_ENV_TYPE=magento2
+
+# Services
+ROLL_REDIS=1
+PHP_VERSION="8.1"
+export NODE_VERSION=18
+`;
+
+  test('should parse variables, quotes and export prefixes', () => {
+    const { variables } = parseEnvRoll(sample);
+
+    expect(variables.ROLL_ENV_NAME).toEqual({ value: 'shop', line: 1 });
+    expect(variables.PHP_VERSION.value).toBe('8.1');
+    expect(variables.NODE_VERSION.value).toBe('18');
+    expect(Object.keys(variables)).toHaveLength(5);
+  });
+
+  test('should normalize boolean toggles to 1 and 0', () => {
+    expect(normalizeBoolean('ROLL_REDIS', true)).toBe('1');
+    expect(normalizeBoolean('ROLL_REDIS', 'false')).toBe('0');
+    expect(() => normalizeBoolean('ROLL_REDIS', 'yes')).toThrow('ROLL_REDIS must be a boolean');
+  });
+
+  test('should reject values that cannot be written between quotes', () => {
+    expect(checkEnvRollText('TRAEFIK_EXTRA_HOSTS', 'a.test b.test')).toBe('a.test b.test');
+    expect(() => checkEnvRollText('TRAEFIK_EXTRA_HOSTS', 'a"b')).toThrow('must not contain quotes or backslashes');
+    expect(() => checkEnvRollText('TRAEFIK_EXTRA_HOSTS', "it's")).toThrow('must not contain quotes or backslashes');
+    expect(() => checkEnvRollText('TRAEFIK_EXTRA_HOSTS', 'C:\\dir')).toThrow('must not contain quotes or backslashes');
+    expect(() => checkEnvRollText('TRAEFIK_EXTRA_HOSTS', 'a\nb')).toThrow('must be a single line');
+  });
+
+  test('should edit values in place and keep comments and quotes', () => {
+    const { lines, variables } = parseEnvRoll(sample);
+    const result = applyEnvRollChanges(lines, variables, { PHP_VERSION: '8.3', ROLL_REDIS: '0' });
+
+    expect(result.lines.join('\n')).toBe(sample
+      .replace('PHP_VERSION="8.1"', 'PHP_VERSION="8.3"')
+      .replace('ROLL_REDIS=1', 'ROLL_REDIS=0'));
+    expect(result.changed).toEqual([
+      { key: 'PHP_VERSION', before: '8.1', after: '8.3' },
+      { key: 'ROLL_REDIS', before: '1', after: '0' }
+    ]);
+  });
+
+  test('should append new variables before the trailing newline and remove nulls', () => {
+    const { lines, variables } = parseEnvRoll(sample);
+    const result = applyEnvRollChanges(lines, variables, { ROLL_OPENSEARCH: '1', NODE_VERSION: null });
+    const output = result.lines.join('\n');
+
+    expect(output.endsWith('PHP_VERSION="8.1"\nROLL_OPENSEARCH=1\n')).toBe(true);
+    expect(output).not.toContain('NODE_VERSION');
+    expect(output.startsWith('# Project settings\n')).toBe(true);
+  });
+
+  test('should skip unchanged values', () => {
+    const { lines, variables } = parseEnvRoll(sample);
+    const result = applyEnvRollChanges(lines, variables, { ROLL_ENV_NAME: 'shop', UNSET_VARIABLE: null });
+
+    expect(result.changed).toEqual([]);
+    expect(result.lines).toEqual(lines);
+  });
+});
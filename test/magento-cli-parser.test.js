@@ -0,0 +1,487 @@
+// No imports needed for this test file
+
+describe('Magento CLI Parsers', () => {
+  describe('cache:status', () => {
+    // Test the cache status parsing logic separately
+    const parseCacheStatus = (output) => {
+      const caches = [];
+
+      for (const line of output.split('\n')) {
+        const match = line.match(/^\s*([a-z0-9_]+): ([01])\s*$/);
+        if (match) {
+          caches.push({ type: match[1], enabled: match[2] === '1' });
+        }
+      }
+
+      return caches;
+    };
+
+    test('should parse cache types and their enabled state', () => {
+      const output = `Current status:
+                        config: 1
+                        layout: 0
+                    block_html: 1
+                     full_page: 0
+          graphql_query_resolver_result: 1`;
+
+      expect(parseCacheStatus(output)).toEqual([
+        { type: 'config', enabled: true },
+        { type: 'layout', enabled: false },
+        { type: 'block_html', enabled: true },
+        { type: 'full_page', enabled: false },
+        { type: 'graphql_query_resolver_result', enabled: true }
+      ]);
+    });
+
+    test('should ignore headers and unrelated output', () => {
+      expect(parseCacheStatus('Current status:\nSome deprecation notice: see docs\n')).toEqual([]);
+    });
+  });
+
+  describe('indexer:status', () => {
+    // Test the indexer table parsing logic separately
+    const parseCliTable = (output) => {
+      const rows = output
+        .split('\n')
+        .filter((line) => line.trim().startsWith('|'))
+        .map((line) => line.trim().slice(1, -1).split('|').map((cell) => cell.trim()));
+
+      if (rows.length < 2) {
+        return [];
+      }
+
+      const headers = rows[0].map((header) => header.toLowerCase());
+      return rows.slice(1).map((cells) =>
+        Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? ''])),
+      );
+    };
+
+    const parseIndexerInfo = (output) => output
+      .split('\n')
+      .map((line) => line.match(/^([a-z0-9_]+)\s{2,}(.+?)\s*$/))
+      .filter(Boolean)
+      .map((match) => ({ id: match[1], title: match[2] }));
+
+    const normalizeIndexerRow = (row) => {
+      const status = row.status || null;
+      const updateOn = (row['update on'] || '').toLowerCase();
+      const schedule = row['schedule status'] || '';
+      const backlog = schedule.match(/\((\d+) in backlog\)/);
+
+      let statusCode = 'unknown';
+      if (/^ready|^valid/i.test(status || '')) {
+        statusCode = 'valid';
+      } else if (/reindex required|invalid/i.test(status || '')) {
+        statusCode = 'invalid';
+      } else if (/processing|working/i.test(status || '')) {
+        statusCode = 'working';
+      }
+
+      return {
+        id: row.id,
+        title: row.title,
+        status,
+        status_code: statusCode,
+        mode: updateOn.includes('schedule') ? 'schedule' : updateOn.includes('save') ? 'realtime' : null,
+        schedule: schedule
+          ? {
+              state: schedule.replace(/\s*\(.*\)\s*$/, '') || null,
+              backlog: backlog ? Number(backlog[1]) : null,
+            }
+          : null,
+        updated_at: row['schedule updated'] || row.updated || null,
+      };
+    };
+
+    const tableOutput = `+--------------------------+-------------------+------------------+-----------+----------------------+---------------------+
+| ID                       | Title             | Status           | Update On | Schedule Status      | Schedule Updated    |
++--------------------------+-------------------+------------------+-----------+----------------------+---------------------+
+| catalog_category_product | Category Products | Ready            | Save      |                      |                     |
+| catalog_product_price    | Product Price     | Reindex required | Schedule  | idle (12 in backlog) | 2024-05-01 10:00:00 |
+| inventory                | Inventory         | Processing       | Schedule  | suspended            | 2024-05-01 09:00:00 |
++--------------------------+-------------------+------------------+-----------+----------------------+---------------------+`;
+
+    test('should parse the status table into indexers', () => {
+      const indexers = parseCliTable(tableOutput).map(normalizeIndexerRow);
+
+      expect(indexers).toEqual([
+        {
+          id: 'catalog_category_product',
+          title: 'Category Products',
+          status: 'Ready',
+          status_code: 'valid',
+          mode: 'realtime',
+          schedule: null,
+          updated_at: null
+        },
+        {
+          id: 'catalog_product_price',
+          title: 'Product Price',
+          status: 'Reindex required',
+          status_code: 'invalid',
+          mode: 'schedule',
+          schedule: { state: 'idle', backlog: 12 },
+          updated_at: '2024-05-01 10:00:00'
+        },
+        {
+          id: 'inventory',
+          title: 'Inventory',
+          status: 'Processing',
+          status_code: 'working',
+          mode: 'schedule',
+          schedule: { state: 'suspended', backlog: null },
+          updated_at: '2024-05-01 09:00:00'
+        }
+      ]);
+    });
+
+    test('should return no rows for output without a table', () => {
+      expect(parseCliTable('Category Products:     Ready')).toEqual([]);
+    });
+
+    test('should parse indexer:info into ids and titles', () => {
+      const output = 'design_config_grid                       Design Config Grid\ncatalog_product_price                    Product Price\n';
+
+      expect(parseIndexerInfo(output)).toEqual([
+        { id: 'design_config_grid', title: 'Design Config Grid' },
+        { id: 'catalog_product_price', title: 'Product Price' }
+      ]);
+    });
+  });
+
+  describe('module:status', () => {
+    // Test the module status and module.xml parsing logic separately
+    const parseModuleStatus = (output) => {
+      const lists = { enabled: [], disabled: [] };
+      let current = null;
+
+      for (const line of output.split('\n')) {
+        const heading = line.match(/^List of (enabled|disabled) modules:/i);
+        if (heading) {
+          current = lists[heading[1].toLowerCase()];
+        } else if (current && /^[A-Za-z0-9]+_[A-Za-z0-9_]+$/.test(line.trim())) {
+          current.push(line.trim());
+        }
+      }
+
+      return lists;
+    };
+
+    const parseModuleXml = (content) => {
+      const xml = content.replace(/<!--[\s\S]*?-->/g, '');
+      const name = xml.match(/<module\b[^>]*\bname="([^"]+)"/);
+      if (!name) {
+        return null;
+      }
+
+      const sequence = xml.match(/<sequence>([\s\S]*?)<\/sequence>/);
+      return {
+        name: name[1],
+        sequence: sequence ? [...sequence[1].matchAll(/<module\b[^>]*\bname="([^"]+)"/g)].map((match) => match[1]) : []
+      };
+    };
+
+    const collectModuleClosure = (modules, next) => {
+      const seen = new Set(modules);
+      const queue = [...modules];
+      const reached = [];
+
+      while (queue.length > 0) {
+        for (const name of next(queue.shift())) {
+          if (!seen.has(name)) {
+            seen.add(name);
+            reached.push(name);
+            queue.push(name);
+          }
+        }
+      }
+
+      return reached;
+    };
+
+    test('should split module:status into enabled and disabled lists', () => {
+      const output = 'List of enabled modules:\nMagento_Store\nMagento_Catalog\n\nList of disabled modules:\nVendor_Module\n';
+
+      expect(parseModuleStatus(output)).toEqual({
+        enabled: ['Magento_Store', 'Magento_Catalog'],
+        disabled: ['Vendor_Module']
+      });
+    });
+
+    test('should treat None as an empty list', () => {
+      const output = 'List of enabled modules:\nMagento_Store\n\nList of disabled modules:\nNone\n';
+
+      expect(parseModuleStatus(output).disabled).toEqual([]);
+    });
+
+    test('should read the module name and sequence from module.xml', () => {
+      const xml = `<?xml version="1.0"?>
+<config xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:noNamespaceSchemaLocation="urn:magento:framework:Module/etc/module.xsd">
+    <!-- <module name="Old_Name"/> -->
+    <module name="Vendor_Shop" setup_version="1.0.0">
+        <sequence>
+            <module name="Magento_Catalog"/>
+            <module name="Vendor_Base" />
+        </sequence>
+    </module>
+</config>`;
+
+      expect(parseModuleXml(xml)).toEqual({
+        name: 'Vendor_Shop',
+        sequence: ['Magento_Catalog', 'Vendor_Base']
+      });
+    });
+
+    test('should return an empty sequence for modules without one', () => {
+      expect(parseModuleXml('<config><module name="Magento_Store"/></config>')).toEqual({
+        name: 'Magento_Store',
+        sequence: []
+      });
+      expect(parseModuleXml('<config></config>')).toBeNull();
+    });
+
+    test('should collect transitive dependencies without the starting modules', () => {
+      const sequences = {
+        Vendor_Shop: ['Vendor_Base', 'Magento_Catalog'],
+        Vendor_Base: ['Magento_Store'],
+        Magento_Catalog: ['Magento_Store'],
+        Magento_Store: []
+      };
+
+      expect(collectModuleClosure(['Vendor_Shop'], (name) => sequences[name] || [])).toEqual([
+        'Vendor_Base',
+        'Magento_Catalog',
+        'Magento_Store'
+      ]);
+    });
+  });
+
+  describe('config:show', () => {
+    // Test the store configuration parsing logic separately
+    const parseConfigShow = (output, requested) => {
+      if (requested.split('/').length >= 3) {
+        return { [requested]: output.replace(/\n$/, '') };
+      }
+
+      const values = {};
+      for (const line of output.split('\n')) {
+        const match = line.match(/^([A-Za-z0-9_-]+(?:\/[A-Za-z0-9_-]+)+) - (.*)$/);
+        if (match) {
+          values[match[1]] = match[2];
+        }
+      }
+      return values;
+    };
+
+    const flattenLockedConfig = (system, file) => {
+      const entries = [];
+      if (!system || typeof system !== 'object') {
+        return entries;
+      }
+
+      const walk = (node, path, scope, scopeCode) => {
+        if (node !== null && typeof node === 'object') {
+          for (const [key, child] of Object.entries(node)) {
+            walk(child, path ? `${path}/${key}` : key, scope, scopeCode);
+          }
+        } else if (path) {
+          entries.push({ file, scope, scope_code: scopeCode, path, value: node });
+        }
+      };
+
+      walk(system.default, '', 'default', null);
+      for (const scope of ['websites', 'stores']) {
+        for (const [code, node] of Object.entries(system[scope] || {})) {
+          walk(node, '', scope, code);
+        }
+      }
+
+      return entries;
+    };
+
+    test('should return the bare value for a full path', () => {
+      expect(parseConfigShow('https://example.test/\n', 'web/secure/base_url')).toEqual({
+        'web/secure/base_url': 'https://example.test/'
+      });
+    });
+
+    test('should parse path - value lines for a section or group', () => {
+      const output = 'web/secure/base_url - https://example.test/\nweb/secure/use_in_frontend - 1\nweb/secure/offloader_header - \n';
+
+      expect(parseConfigShow(output, 'web/secure')).toEqual({
+        'web/secure/base_url': 'https://example.test/',
+        'web/secure/use_in_frontend': '1',
+        'web/secure/offloader_header': ''
+      });
+    });
+
+    test('should flatten the system array from env.php into scoped paths', () => {
+      const system = {
+        default: { dev: { js: { merge_files: '1' } } },
+        websites: { base: { web: { unsecure: { base_url: 'http://base.test/' } } } },
+        stores: { de: { general: { locale: { code: 'de_DE' } } } }
+      };
+
+      expect(flattenLockedConfig(system, 'app/etc/env.php')).toEqual([
+        { file: 'app/etc/env.php', scope: 'default', scope_code: null, path: 'dev/js/merge_files', value: '1' },
+        { file: 'app/etc/env.php', scope: 'websites', scope_code: 'base', path: 'web/unsecure/base_url', value: 'http://base.test/' },
+        { file: 'app/etc/env.php', scope: 'stores', scope_code: 'de', path: 'general/locale/code', value: 'de_DE' }
+      ]);
+    });
+
+    test('should return no entries when there is no system section', () => {
+      expect(flattenLockedConfig(null, 'app/etc/config.php')).toEqual([]);
+      expect(flattenLockedConfig([], 'app/etc/config.php')).toEqual([]);
+    });
+  });
+
+  describe('deploy:mode:show', () => {
+    // Test the deploy mode and build error parsing logic separately
+    const parseDeployMode = (output) => {
+      const match = output.match(/Current application mode:\s*([a-z]+)/i);
+      return match ? match[1].toLowerCase() : null;
+    };
+
+    const extractFirstError = (output) => {
+      const lines = output
+        .split('\n')
+        .map((line) => line.trim())
+        .filter((line) => line && !/^[-=\s]+$/.test(line));
+      const header = lines.findIndex((line) => /^In \S+ line \d+:$/.test(line));
+      if (header !== -1 && lines[header + 1]) {
+        return lines[header + 1];
+      }
+
+      const errorLine = lines.find((line) =>
+        /\b(error|exception|fatal|failed|cannot|could not|unable to)\b/i.test(line)
+      );
+
+      return errorLine || lines[lines.length - 1] || null;
+    };
+
+    test('should parse the current mode', () => {
+      expect(parseDeployMode('Current application mode: production. (Note: Environment variables may override this value.)\n')).toBe('production');
+      expect(parseDeployMode('Something else')).toBeNull();
+    });
+
+    test('should surface the first error line of a failed build step', () => {
+      const output = 'Compilation was started.\nRepositories code generation... 1/9\n\nIn ClassReader.php line 57:\n\n  Impossible to process constructor argument Parameter #0 [ <required> Vendor\\Missing $missing ]\n\nsetup:di:compile\n';
+
+      expect(extractFirstError(output)).toBe('Impossible to process constructor argument Parameter #0 [ <required> Vendor\\Missing $missing ]');
+    });
+
+    test('should prefer error keywords over the last line', () => {
+      expect(extractFirstError('Deploying...\n=====\nFatal error: Allowed memory size exhausted\nDone')).toBe('Fatal error: Allowed memory size exhausted');
+      expect(extractFirstError('Deploying...\nKilled\n')).toBe('Killed');
+      expect(extractFirstError('')).toBeNull();
+    });
+  });
+
+  describe('cron_schedule', () => {
+    // Test the cron summary logic separately
+    const summarizeCronJobs = (rows) => {
+      const statuses = ['pending', 'running', 'success', 'error', 'missed'];
+      const jobs = rows.map((row) => ({
+        ...row,
+        ...Object.fromEntries(statuses.map((status) => [status, Number(row[status]) || 0]))
+      }));
+
+      return {
+        jobs,
+        totals: Object.fromEntries(statuses.map((status) => [status, jobs.reduce((sum, job) => sum + job[status], 0)]))
+      };
+    };
+
+    test('should add up runs per status across jobs', () => {
+      const rows = [
+        { job_code: 'sales_clean_quotes', pending: 1, running: 0, success: 20, error: 3, missed: '1' },
+        { job_code: 'indexer_reindex_all_invalid', pending: 0, running: 1, success: 40, error: 0, missed: null }
+      ];
+
+      const { jobs, totals } = summarizeCronJobs(rows);
+
+      expect(totals).toEqual({ pending: 1, running: 1, success: 60, error: 3, missed: 1 });
+      expect(jobs[1].missed).toBe(0);
+      expect(jobs[0].job_code).toBe('sales_clean_quotes');
+    });
+
+    test('should return zero totals without rows', () => {
+      expect(summarizeCronJobs([]).totals).toEqual({ pending: 0, running: 0, success: 0, error: 0, missed: 0 });
+    });
+  });
+
+  describe('message queues', () => {
+    // Test the consumer and queue count parsing logic separately
+    const parseConsumerList = (output) => output
+      .split('\n')
+      .map((line) => line.trim())
+      .filter((line) => /^[A-Za-z0-9_.-]+$/.test(line));
+
+    const parseRabbitQueues = (output) => {
+      const queues = [];
+
+      for (const line of output.split('\n')) {
+        const match = line.trim().match(/^(\S+)\s+(\d+)\s+(\d+)\s+(\d+)$/);
+        if (match) {
+          queues.push({
+            queue: match[1],
+            messages_ready: Number(match[2]),
+            messages_unacknowledged: Number(match[3]),
+            consumers: Number(match[4])
+          });
+        }
+      }
+
+      return queues;
+    };
+
+    const diffQueueCounts = (before, after, fields) => {
+      if (!before || !after) {
+        return [];
+      }
+
+      return after
+        .map((entry) => {
+          const previous = before.find((candidate) => candidate.queue === entry.queue) || {};
+          return {
+            queue: entry.queue,
+            ...Object.fromEntries(fields.map((field) => [field, entry[field] - (previous[field] || 0)]))
+          };
+        })
+        .filter((entry) => fields.some((field) => entry[field] !== 0));
+    };
+
+    test('should parse queue:consumers:list', () => {
+      const output = 'async.operations.all\nexportProcessor\ncodegeneratorProcessor\n\n';
+
+      expect(parseConsumerList(output)).toEqual(['async.operations.all', 'exportProcessor', 'codegeneratorProcessor']);
+    });
+
+    test('should parse rabbitmqctl list_queues and skip the header row', () => {
+      const output = 'name\tmessages_ready\tmessages_unacknowledged\tconsumers\nasync.operations.all\t7\t1\t0\nexport\t0\t0\t1\n';
+
+      expect(parseRabbitQueues(output)).toEqual([
+        { queue: 'async.operations.all', messages_ready: 7, messages_unacknowledged: 1, consumers: 0 },
+        { queue: 'export', messages_ready: 0, messages_unacknowledged: 0, consumers: 1 }
+      ]);
+    });
+
+    test('should report only queues whose counts changed', () => {
+      const before = [
+        { queue: 'export', complete: 10, error: 1 },
+        { queue: 'other', complete: 3, error: 0 }
+      ];
+      const after = [
+        { queue: 'export', complete: 14, error: 2 },
+        { queue: 'other', complete: 3, error: 0 },
+        { queue: 'product_action_attribute.update', complete: 2, error: 0 }
+      ];
+
+      expect(diffQueueCounts(before, after, ['complete', 'error'])).toEqual([
+        { queue: 'export', complete: 4, error: 1 },
+        { queue: 'product_action_attribute.update', complete: 2, error: 0 }
+      ]);
+      expect(diffQueueCounts(null, after, ['complete'])).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+// No imports needed for this test file
+
+describe('Magento Report Parser', () => {
+  // Test the var/report decoding logic separately
+  const unserializePhp = (content) => {
+    const buffer = Buffer.from(content, 'utf8');
+    let position = 0;
+
+    const readUntil = (char) => {
+      const end = buffer.indexOf(char, position);
+      if (end === -1) {
+        throw new Error('Unexpected end of serialized data');
+      }
+      const value = buffer.toString('utf8', position, end);
+      position = end + 1;
+      return value;
+    };
+
+    const parse = () => {
+      const type = String.fromCharCode(buffer[position]);
+      position += 2;
+
+      switch (type) {
+        case 'N':
+          return null;
+        case 'b':
+          return readUntil(';') === '1';
+        case 'i':
+        case 'd':
+          return Number(readUntil(';'));
+        case 's': {
+          const length = Number(readUntil(':'));
+          const value = buffer.toString('utf8', position + 1, position + 1 + length);
+          position += length + 3;
+          return value;
+        }
+        case 'a': {
+          const count = Number(readUntil(':'));
+          position += 1;
+          const result = {};
+          for (let i = 0; i < count; i++) {
+            const key = parse();
+            result[key] = parse();
+          }
+          position += 1;
+          return result;
+        }
+        default:
+          throw new Error(`Unsupported serialized type: ${type}`);
+      }
+    };
+
+    try {
+      return parse();
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const parseTrace = (traceText) => traceText
+    .split('\n')
+    .map((line) => line.match(/^#(\d+) (?:(.+?)\((\d+)\): )?(.*)$/))
+    .filter(Boolean)
+    .map((match) => ({
+      frame: Number(match[1]),
+      file: match[2] || null,
+      line: match[3] ? Number(match[3]) : null,
+      call: match[4],
+    }));
+
+  const exceptionClass = (message) => {
+    const match = message.match(/\(([A-Z][\w\\]*(?:Exception|Error)\w*)\)/);
+    return match ? match[1] : null;
+  };
+
+  const serializeString = (value) => `s:${Buffer.byteLength(value)}:"${value}";`;
+
+  test('should unserialize report arrays with multibyte strings', () => {
+    const message = 'Ünïcode message';
+    const content = `a:2:{i:0;${serializeString(message)}s:3:"url";${serializeString('/shop/')}}`;
+
+    expect(unserializePhp(content)).toEqual({ 0: message, url: '/shop/' });
+  });
+
+  test('should unserialize scalars and nested arrays', () => {
+    expect(unserializePhp('a:3:{i:0;b:1;i:1;N;s:1:"k";a:1:{i:0;d:1.5;}}')).toEqual({
+      0: true,
+      1: null,
+      k: { 0: 1.5 }
+    });
+  });
+
+  test('should return null for content that is not serialized PHP', () => {
+    expect(unserializePhp('not a report')).toBeNull();
+    expect(unserializePhp('a:2:{i:0;s:5:"ab')).toBeNull();
+  });
+
+  test('should parse stack trace frames', () => {
+    const trace = '#0 /var/www/html/vendor/magento/framework/App/Http.php(116): Magento\\Framework\\App\\Http->launch()\n#1 {main}';
+
+    expect(parseTrace(trace)).toEqual([
+      {
+        frame: 0,
+        file: '/var/www/html/vendor/magento/framework/App/Http.php',
+        line: 116,
+        call: 'Magento\\Framework\\App\\Http->launch()'
+      },
+      { frame: 1, file: null, line: null, call: '{main}' }
+    ]);
+  });
+
+  test('should extract the exception class from the report message', () => {
+    expect(exceptionClass('Exception #0 (Magento\\Framework\\Exception\\LocalizedException): Invalid template file'))
+      .toBe('Magento\\Framework\\Exception\\LocalizedException');
+    expect(exceptionClass('Plain message (with brackets)')).toBeNull();
+  });
+});
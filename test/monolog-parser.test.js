@@ -0,0 +1,104 @@
+// No imports needed for this test file
+
+describe('Monolog Parser', () => {
+  // Test the Magento var/log parsing logic separately
+  const splitTrailingJson = (text) => {
+    const last = text[text.length - 1];
+    if (last !== ']' && last !== '}') {
+      return [text, null];
+    }
+
+    for (let i = text.length - 1; i >= 0; i--) {
+      if (text[i] !== ' ' || (text[i + 1] !== '[' && text[i + 1] !== '{')) {
+        continue;
+      }
+
+      try {
+        const value = JSON.parse(text.slice(i + 1).replace(/\r?\n/g, '\\n'));
+        return [text.slice(0, i), value];
+      } catch (error) {
+        // Not a complete JSON value yet; keep looking further left
+      }
+    }
+
+    return [text, null];
+  };
+
+  const parseMonologEntries = (content, file) => {
+    const header = /^\[(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?)\] ([\w-]+)\.([A-Z]+): /;
+    const records = [];
+
+    for (const line of content.split('\n')) {
+      const match = line.match(header);
+      if (match) {
+        records.push({ match, text: line.slice(match[0].length) });
+      } else if (records.length > 0) {
+        records[records.length - 1].text += `\n${line}`;
+      }
+    }
+
+    return records.map(({ match, text }) => {
+      const [withContext, extra] = splitTrailingJson(text.replace(/\n+$/, ''));
+      const [message, context] = splitTrailingJson(withContext);
+
+      return {
+        file,
+        timestamp: match[1],
+        channel: match[2],
+        level: match[3],
+        message,
+        context,
+        extra,
+      };
+    });
+  };
+
+  test('should parse level, channel, message, context and extra', () => {
+    const content = '[2024-05-01T10:00:00.000000+00:00] main.INFO: Cache cleaned {"types":["config"]} {"uid":"abc"}\n';
+
+    expect(parseMonologEntries(content, 'system.log')).toEqual([
+      {
+        file: 'system.log',
+        timestamp: '2024-05-01T10:00:00.000000+00:00',
+        channel: 'main',
+        level: 'INFO',
+        message: 'Cache cleaned',
+        context: { types: ['config'] },
+        extra: { uid: 'abc' }
+      }
+    ]);
+  });
+
+  test('should join multi-line stack traces into the context', () => {
+    const content = `[2024-05-01T10:04:00.000000+00:00] main.CRITICAL: Invalid argument {"exception":"[object] (InvalidArgumentException(code: 0): Invalid argument at /var/www/html/app/code/A/B.php:12)
+[stacktrace]
+#0 {main}
+"} []
+[2024-05-01T10:05:00.000000+00:00] main.ERROR: Next [] []`;
+
+    const entries = parseMonologEntries(content, 'exception.log');
+
+    expect(entries).toHaveLength(2);
+    expect(entries[0].message).toBe('Invalid argument');
+    expect(entries[0].context.exception).toBe(
+      '[object] (InvalidArgumentException(code: 0): Invalid argument at /var/www/html/app/code/A/B.php:12)\n[stacktrace]\n#0 {main}\n'
+    );
+    expect(entries[0].extra).toEqual([]);
+    expect(entries[1].level).toBe('ERROR');
+  });
+
+  test('should keep brackets that are part of the message', () => {
+    const [entry] = parseMonologEntries('[2024-05-01 10:06:00] main.WARNING: Item [sku-1] missing', 'system.log');
+
+    expect(entry.timestamp).toBe('2024-05-01 10:06:00');
+    expect(entry.message).toBe('Item [sku-1] missing');
+    expect(entry.context).toBeNull();
+    expect(entry.extra).toBeNull();
+  });
+
+  test('should drop lines of a record cut off before the read window', () => {
+    const content = 'end of an earlier trace\n"} []\n[2024-05-01T10:00:00+00:00] report.DEBUG: Done [] []';
+
+    expect(parseMonologEntries(content, 'debug.log').map((entry) => entry.message)).toEqual(['Done']);
+  });
+});
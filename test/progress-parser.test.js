@@ -0,0 +1,45 @@
+// No imports needed for this test file
+
+describe('Progress Parser', () => {
+  // Test the progress bar percentage parsing logic separately
+  const parseProgressPercent = (line) => {
+    const patterns = [
+      /\d+\/\d+\s*\[[^\]]*\]\s*(\d{1,3})%/,
+      /^\s*(\d{1,3})%\s*\[[^\]]*\]/,
+      /\((\d{1,3})%\)/,
+      /\bProgress:?\s*(\d{1,3})%/i,
+    ];
+
+    for (const pattern of patterns) {
+      const match = line.match(pattern);
+      if (match) {
+        const value = parseInt(match[1]);
+        if (value <= 100) {
+          return value;
+        }
+      }
+    }
+
+    return null;
+  };
+
+  test('should parse Symfony progress bars from Magento commands', () => {
+    expect(parseProgressPercent(' 3/9 [=========>------------------]  33% 1 sec 48.0 MiB')).toBe(33);
+    expect(parseProgressPercent('1234/1234 [============================] 100%')).toBe(100);
+  });
+
+  test('should parse progress bars without step counts', () => {
+    expect(parseProgressPercent(' 45% [============>---------------]')).toBe(45);
+  });
+
+  test('should parse Composer download percentages', () => {
+    expect(parseProgressPercent('  - Downloading magento/module-catalog (45%)')).toBe(45);
+    expect(parseProgressPercent('Progress: 70%')).toBe(70);
+  });
+
+  test('should ignore lines without progress information', () => {
+    expect(parseProgressPercent('  - Installing magento/module-catalog (104.0.7): Extracting archive')).toBeNull();
+    expect(parseProgressPercent('Discount of 20% applied')).toBeNull();
+    expect(parseProgressPercent('(250%)')).toBeNull();
+  });
+});
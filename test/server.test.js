@@ -20,10 +20,36 @@ describe('RollDevServer', () => {
         'rolldev_stop_project',
         'rolldev_start_svc',
         'rolldev_stop_svc',
+        'rolldev_env_config_get',
+        'rolldev_env_config_set',
+        'rolldev_env_logs',
         'rolldev_db_query',
+        'rolldev_db_list_databases',
+        'rolldev_db_list_tables',
+        'rolldev_db_describe_table',
+        'rolldev_db_snapshot_create',
+        'rolldev_db_snapshot_list',
+        'rolldev_db_snapshot_restore',
+        'rolldev_job_status',
+        'rolldev_job_output',
+        'rolldev_job_list',
+        'rolldev_job_cancel',
+        'rolldev_logs_list',
+        'rolldev_log_read',
+        'rolldev_logs_search',
+        'rolldev_audit_log',
         'rolldev_php_script',
         'rolldev_magento_cli',
         'rolldev_composer',
+        'rolldev_magento_cache',
+        'rolldev_magento_indexers',
+        'rolldev_magento_modules',
+        'rolldev_magento_config',
+        'rolldev_magento_deploy',
+        'rolldev_magento_cron',
+        'rolldev_magento_queues',
+        'rolldev_magento_logs',
+        'rolldev_magento_report',
         'rolldev_magento2_init'
       ];
 
@@ -31,7 +57,7 @@ describe('RollDevServer', () => {
       const expectedToolsCount = expectedTools.length;
       
       // Test that we have the expected number of tools
-      expect(expectedToolsCount).toBe(10);
+      expect(expectedToolsCount).toBe(36);
     });
   });
 
@@ -80,19 +106,19 @@ test-project a magento2 project
   });
 
   describe('Command Validation', () => {
-    test('should handle missing project_path parameter', () => {
+    test('should handle missing project_path and environment parameters', () => {
       const testCases = [
         { project_path: null },
         { project_path: undefined },
-        { project_path: '' }
+        { project_path: '', environment: '' }
       ];
 
       testCases.forEach(testCase => {
         expect(() => {
-          if (!testCase.project_path) {
-            throw new Error('project_path is required');
+          if (!testCase.environment && !testCase.project_path) {
+            throw new Error('project_path or environment is required');
           }
-        }).toThrow('project_path is required');
+        }).toThrow('project_path or environment is required');
       });
     });
 
@@ -110,6 +136,74 @@ test-project a magento2 project
     });
   });
 
+  describe('Project Resolution', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+
+    // Test the project lookup logic separately
+    const findProjectRoot = (startPath) => {
+      let directory = startPath;
+
+      while (true) {
+        if (fs.existsSync(path.join(directory, '.env.roll'))) {
+          return directory;
+        }
+
+        const parent = path.dirname(directory);
+        if (parent === directory) {
+          return null;
+        }
+        directory = parent;
+      }
+    };
+
+    const resolveEnvironment = (environments, name) => {
+      const match = environments.find((env) => env.name === name);
+      if (!match) {
+        const names = environments.map((env) => `${env.name} (${env.path})`).join(', ');
+        throw new Error(`Unknown RollDev environment: ${name}. Known environments: ${names}.`);
+      }
+      return match.path;
+    };
+
+    let projectRoot;
+
+    beforeEach(() => {
+      projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'rolldev-project-'));
+      fs.writeFileSync(path.join(projectRoot, '.env.roll'), 'ROLL_ENV_NAME=shop\n');
+      fs.mkdirSync(path.join(projectRoot, 'app', 'code', 'Vendor'), { recursive: true });
+    });
+
+    afterEach(() => {
+      fs.rmSync(projectRoot, { recursive: true, force: true });
+    });
+
+    test('should find the project root from the root itself', () => {
+      expect(findProjectRoot(projectRoot)).toBe(projectRoot);
+    });
+
+    test('should walk up from a nested directory to the nearest .env.roll', () => {
+      expect(findProjectRoot(path.join(projectRoot, 'app', 'code', 'Vendor'))).toBe(projectRoot);
+    });
+
+    test('should return null when no .env.roll exists above the path', () => {
+      fs.unlinkSync(path.join(projectRoot, '.env.roll'));
+      expect(findProjectRoot(path.join(projectRoot, 'app'))).toBeNull();
+    });
+
+    test('should resolve environment names and list known ones on a miss', () => {
+      const environments = [
+        { name: 'shop', path: '/home/dev/shop' },
+        { name: 'b2b', path: '/home/dev/b2b' }
+      ];
+
+      expect(resolveEnvironment(environments, 'b2b')).toBe('/home/dev/b2b');
+      expect(() => resolveEnvironment(environments, 'blog'))
+        .toThrow('Known environments: shop (/home/dev/shop), b2b (/home/dev/b2b).');
+    });
+  });
+
   describe('Command Construction', () => {
     test('should construct roll commands correctly', () => {
       const testCases = [
@@ -425,4 +519,337 @@ preview content here...`
       });
     });
   });
+
+  describe('Background Jobs', () => {
+    // Mirrors the job output buffer handling in server.js
+    const appendJobOutput = (job, text, limit) => {
+      job.output += text;
+
+      const overflow = job.output.length - limit;
+      if (overflow > 0) {
+        job.output = job.output.slice(overflow);
+        job.output_start += overflow;
+      }
+    };
+
+    const readJobOutput = (job, offset, maxChars) => {
+      const totalLength = job.output_start + job.output.length;
+      const start = Math.max(offset, job.output_start);
+      const data = job.output.slice(start - job.output_start, start - job.output_start + maxChars);
+      const nextOffset = start + data.length;
+
+      return {
+        offset: start,
+        next_offset: nextOffset,
+        skipped_chars: start - offset,
+        has_more: nextOffset < totalLength,
+        complete: job.status !== 'running' && nextOffset >= totalLength,
+        data
+      };
+    };
+
+    test('should read output incrementally from an offset', () => {
+      const job = { status: 'running', output: '', output_start: 0 };
+      appendJobOutput(job, 'Loading composer repositories\n', 1000);
+
+      const first = readJobOutput(job, 0, 1000);
+      expect(first.data).toBe('Loading composer repositories\n');
+      expect(first.complete).toBe(false);
+
+      appendJobOutput(job, 'Installing dependencies\n', 1000);
+      job.status = 'completed';
+
+      const second = readJobOutput(job, first.next_offset, 1000);
+      expect(second.data).toBe('Installing dependencies\n');
+      expect(second.complete).toBe(true);
+    });
+
+    test('should page output with max_chars', () => {
+      const job = { status: 'completed', output: 'abcdefghij', output_start: 0 };
+
+      const page = readJobOutput(job, 2, 3);
+      expect(page.data).toBe('cde');
+      expect(page.next_offset).toBe(5);
+      expect(page.has_more).toBe(true);
+    });
+
+    test('should report skipped output after the buffer limit is exceeded', () => {
+      const job = { status: 'running', output: '', output_start: 0 };
+      appendJobOutput(job, '0123456789', 6);
+
+      expect(job.output).toBe('456789');
+      expect(job.output_start).toBe(4);
+
+      const page = readJobOutput(job, 0, 100);
+      expect(page.offset).toBe(4);
+      expect(page.skipped_chars).toBe(4);
+      expect(page.data).toBe('456789');
+    });
+  });
+
+  describe('Log Resources', () => {
+    const logUriPattern = /^rolldev-log:\/\/(rolldev-output-[\w-]+\.log)$/;
+
+    test('should map log resource URIs to log file names', () => {
+      const match = 'rolldev-log://rolldev-output-2025-01-01T00-00-00-000Z.log'.match(logUriPattern);
+
+      expect(match[1]).toBe('rolldev-output-2025-01-01T00-00-00-000Z.log');
+    });
+
+    test('should reject URIs outside the log directory', () => {
+      expect('rolldev-log://../../etc/passwd'.match(logUriPattern)).toBeNull();
+      expect('rolldev-log://rolldev-output-x.log/../../secret'.match(logUriPattern)).toBeNull();
+      expect('file:///tmp/rolldev-mcp-logs/rolldev-output-x.log'.match(logUriPattern)).toBeNull();
+    });
+
+    test('should read resource metadata from the log header', () => {
+      const header = `RollDev Command Output Log
+========================
+Command: roll composer install
+Working Directory: /path/to/project
+Timestamp: 2025-01-01T00:00:00.000Z
+Total Output Size: 100 characters
+`;
+
+      expect((header.match(/^Command: (.*)$/m) || [])[1]).toBe('roll composer install');
+      expect((header.match(/^Working Directory: (.*)$/m) || [])[1]).toBe('/path/to/project');
+      expect((header.match(/^Timestamp: (.*)$/m) || [])[1]).toBe('2025-01-01T00:00:00.000Z');
+    });
+  });
+
+  describe('Output Budget', () => {
+    // Mirrors the error line detection used when large output is summarized
+    const extractErrorLines = (text, limit = 20) => {
+      const errorLines = [];
+
+      for (const line of text.split(/\r?\n/)) {
+        const trimmed = line.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '').trim();
+        if (
+          trimmed &&
+          /\b(error|exception|fatal|failed|failure|critical)\b/i.test(trimmed) &&
+          !errorLines.includes(trimmed)
+        ) {
+          errorLines.push(trimmed.substring(0, 500));
+          if (errorLines.length >= limit) {
+            break;
+          }
+        }
+      }
+
+      return errorLines;
+    };
+
+    test('should detect error lines in large output', () => {
+      const output = `Updating modules:
+Module 'Magento_Catalog':
+\x1b[31mSQLSTATE[42S02]: Base table or view not found, query failed\x1b[0m
+Module 'Magento_Sales':
+PHP Fatal error:  Allowed memory size exhausted
+Schema creation/updates:`;
+
+      expect(extractErrorLines(output)).toEqual([
+        'SQLSTATE[42S02]: Base table or view not found, query failed',
+        'PHP Fatal error:  Allowed memory size exhausted'
+      ]);
+    });
+
+    test('should deduplicate and limit error lines', () => {
+      const output = Array.from({ length: 30 }, (_, i) => `Error ${i % 25}`).join('\n');
+
+      const result = extractErrorLines(output);
+      expect(result).toHaveLength(20);
+      expect(new Set(result).size).toBe(20);
+    });
+
+    test('should not treat error-free output as errors', () => {
+      expect(extractErrorLines('Nothing to install, update or remove\nGenerating autoload files')).toEqual([]);
+    });
+  });
+
+  describe('Audit Log', () => {
+    // Test the argument sanitizing and entry filtering logic separately
+    const sanitizeAuditValue = (value, key = '') => {
+      if (/pass(word)?|secret|token|auth|credential|api[_-]?key/i.test(key)) {
+        return '[redacted]';
+      }
+      if (typeof value === 'string') {
+        return value.length > 2000
+          ? `${value.slice(0, 2000)}... (${value.length} chars)`
+          : value;
+      }
+      if (Array.isArray(value)) {
+        return value.map((item) => sanitizeAuditValue(item));
+      }
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(
+          Object.entries(value).map(([name, item]) => [name, sanitizeAuditValue(item, name)]),
+        );
+      }
+      return value;
+    };
+
+    const auditCommandString = (command, args) => {
+      const secretOption = /^--?[\w-]*(pass(word)?|secret|token|auth|credential|api[_-]?key)[\w-]*$/i;
+      const parts = [command];
+
+      args.forEach((arg, index) => {
+        const text = String(arg);
+        const eq = text.indexOf('=');
+        if (eq > 0 && secretOption.test(text.slice(0, eq))) {
+          parts.push(`${text.slice(0, eq)}=[redacted]`);
+        } else if (index > 0 && secretOption.test(String(args[index - 1])) && !text.startsWith('-')) {
+          parts.push('[redacted]');
+        } else {
+          parts.push(text);
+        }
+      });
+
+      return sanitizeAuditValue(parts.join(' '));
+    };
+
+    const filterEntries = (entries, { project, tool, status = 'all' }) => entries
+      .filter((entry) => !project || entry.project === project)
+      .filter((entry) => !tool || entry.tool === tool)
+      .filter((entry) => status === 'all' || entry.success === (status === 'succeeded'))
+      .reverse();
+
+    test('should redact secret-looking keys at any depth', () => {
+      const sanitized = sanitizeAuditValue({
+        project_path: '/home/dev/shop',
+        changes: { BLACKFIRE_CLIENT_TOKEN: 'abc', PHP_VERSION: '8.3' },
+        password: 'hunter2'
+      });
+
+      expect(sanitized).toEqual({
+        project_path: '/home/dev/shop',
+        changes: { BLACKFIRE_CLIENT_TOKEN: '[redacted]', PHP_VERSION: '8.3' },
+        password: '[redacted]'
+      });
+    });
+
+    test('should shorten long string arguments', () => {
+      const sanitized = sanitizeAuditValue({ query: 'x'.repeat(2500) });
+
+      expect(sanitized.query).toHaveLength(2000 + '... (2500 chars)'.length);
+      expect(sanitized.query.endsWith('... (2500 chars)')).toBe(true);
+    });
+
+    test('should redact secret option values in audited commands', () => {
+      expect(auditCommandString('roll', ['magento', 'admin:user:create', '--admin-password=hunter2', '--admin-user=dev']))
+        .toBe('roll magento admin:user:create --admin-password=[redacted] --admin-user=dev');
+      expect(auditCommandString('roll', ['magento', 'setup:install', '--db-password', 's3cret', '--db-name', 'magento']))
+        .toBe('roll magento setup:install --db-password [redacted] --db-name magento');
+      expect(auditCommandString('roll', ['magento', 'cache:flush'])).toBe('roll magento cache:flush');
+    });
+
+    test('should filter entries by project, tool and status, newest first', () => {
+      const entries = [
+        { id: 1, project: '/a', tool: 'rolldev_magento_cli', success: true },
+        { id: 2, project: '/b', tool: 'rolldev_composer', success: false },
+        { id: 3, project: '/a', tool: 'rolldev_composer', success: false },
+        { id: 4, project: '/a', tool: 'rolldev_magento_cli', success: false }
+      ];
+
+      expect(filterEntries(entries, { project: '/a' }).map((entry) => entry.id)).toEqual([4, 3, 1]);
+      expect(filterEntries(entries, { tool: 'rolldev_composer', status: 'failed' }).map((entry) => entry.id)).toEqual([3, 2]);
+      expect(filterEntries(entries, { status: 'succeeded' }).map((entry) => entry.id)).toEqual([1]);
+    });
+  });
+
+  describe('Transport Options', () => {
+    const crypto = require('crypto');
+
+    // Test the transport selection and token check logic separately
+    const parseTransportOptions = (argv, env) => {
+      const valueFlags = ['transport', 'host', 'port', 'token'];
+      const flags = {};
+      for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+        if (!match) {
+          continue;
+        }
+
+        const [, name, inline] = match;
+        if (!valueFlags.includes(name)) {
+          flags[name] = inline ?? true;
+          continue;
+        }
+
+        // Accept both --port=4000 and --port 4000
+        const value = inline ?? (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--') ? argv[++i] : undefined);
+        if (!value) {
+          throw new Error(`--${name} requires a value`);
+        }
+        flags[name] = value;
+      }
+
+      const transport = flags.http ? 'http' : flags.transport || env.ROLLDEV_TRANSPORT || 'stdio';
+      if (!['stdio', 'http'].includes(transport)) {
+        throw new Error(`Unknown transport: ${transport} (expected stdio or http)`);
+      }
+
+      const port = Number(flags.port ?? env.ROLLDEV_HTTP_PORT ?? 3333);
+      if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`Invalid HTTP port: ${flags.port ?? env.ROLLDEV_HTTP_PORT}`);
+      }
+
+      return {
+        transport,
+        host: flags.host || env.ROLLDEV_HTTP_HOST || '127.0.0.1',
+        port,
+        token: flags.token || env.ROLLDEV_HTTP_TOKEN || null,
+      };
+    };
+
+    const isAuthorized = (headers, token) => {
+      const match = (headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+      if (!match) {
+        return false;
+      }
+
+      const provided = Buffer.from(match[1].trim());
+      const expected = Buffer.from(token);
+      return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+    };
+
+    test('should default to stdio', () => {
+      expect(parseTransportOptions([], {})).toEqual({
+        transport: 'stdio',
+        host: '127.0.0.1',
+        port: 3333,
+        token: null
+      });
+    });
+
+    test('should let CLI flags override environment variables', () => {
+      const options = parseTransportOptions(
+        ['--http', '--port=4000', '--host=0.0.0.0'],
+        { ROLLDEV_TRANSPORT: 'stdio', ROLLDEV_HTTP_PORT: '5000', ROLLDEV_HTTP_TOKEN: 'secret' }
+      );
+
+      expect(options).toEqual({ transport: 'http', host: '0.0.0.0', port: 4000, token: 'secret' });
+      expect(parseTransportOptions([], { ROLLDEV_TRANSPORT: 'http' }).transport).toBe('http');
+    });
+
+    test('should reject unknown transports and invalid ports', () => {
+      expect(() => parseTransportOptions(['--transport=ws'], {})).toThrow('Unknown transport: ws');
+      expect(() => parseTransportOptions(['--http', '--port=abc'], {})).toThrow('Invalid HTTP port: abc');
+    });
+
+    test('should read flag values from the next argument', () => {
+      expect(parseTransportOptions(['--http', '--port', '4000', '--host', '0.0.0.0', '--token', 'secret'], {}))
+        .toEqual({ transport: 'http', host: '0.0.0.0', port: 4000, token: 'secret' });
+      expect(() => parseTransportOptions(['--http', '--port'], {})).toThrow('--port requires a value');
+      expect(() => parseTransportOptions(['--port', '--http'], {})).toThrow('--port requires a value');
+      expect(() => parseTransportOptions(['--host='], {})).toThrow('--host requires a value');
+    });
+
+    test('should only accept the exact bearer token', () => {
+      expect(isAuthorized({ authorization: 'Bearer secret' }, 'secret')).toBe(true);
+      expect(isAuthorized({ authorization: 'bearer secret' }, 'secret')).toBe(true);
+      expect(isAuthorized({ authorization: 'Bearer secret2' }, 'secret')).toBe(false);
+      expect(isAuthorized({ authorization: 'Basic c2VjcmV0' }, 'secret')).toBe(false);
+      expect(isAuthorized({}, 'secret')).toBe(false);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,243 @@
+// No imports needed for this test file
+
+describe('SQL Statement Classifier', () => {
+  // Test the statement splitting and classification logic separately
+  const splitSqlStatements = (query) => {
+    const statements = [];
+    let sql = '';
+    let stripped = '';
+    let executableComment = false;
+    let i = 0;
+
+    const pushStatement = () => {
+      if (stripped.trim()) {
+        statements.push({ sql: sql.trim(), stripped: stripped.trim() });
+      }
+      sql = '';
+      stripped = '';
+    };
+
+    while (i < query.length) {
+      const char = query[i];
+      const next = query[i + 1];
+
+      if (char === "'" || char === '"' || char === "`") {
+        // Quoted string or identifier, honouring backslash and doubled-quote escapes
+        let end = i + 1;
+        while (end < query.length) {
+          if (query[end] === '\\' && char !== '`') {
+            end += 2;
+            continue;
+          }
+          if (query[end] === char) {
+            if (query[end + 1] === char) {
+              end += 2;
+              continue;
+            }
+            break;
+          }
+          end++;
+        }
+        const literal = query.slice(i, end + 1);
+        sql += literal;
+        stripped += char === '`' ? literal : `${char}${char}`;
+        i = end + 1;
+        continue;
+      }
+
+      if ((char === '-' && next === '-' && /\s/.test(query[i + 2] || ' ')) || char === '#') {
+        const end = query.indexOf('\n', i);
+        const stop = end === -1 ? query.length : end;
+        sql += query.slice(i, stop);
+        stripped += ' ';
+        i = stop;
+        continue;
+      }
+
+      // MySQL runs the contents of /*! ... */ and /*!40101 ... */ (MariaDB also /*M! ... */),
+      // so only their markers are comments and the text between them is classified as SQL
+      const executableOpener =
+        char === '/' && next === '*' && !executableComment ? query.slice(i, i + 12).match(/^\/\*M?!\d*/) : null;
+      if (executableOpener) {
+        sql += executableOpener[0];
+        stripped += ' ';
+        executableComment = true;
+        i += executableOpener[0].length;
+        continue;
+      }
+
+      if (executableComment && char === '*' && next === '/') {
+        sql += '*/';
+        stripped += ' ';
+        executableComment = false;
+        i += 2;
+        continue;
+      }
+
+      if (char === '/' && next === '*') {
+        const end = query.indexOf('*/', i + 2);
+        const stop = end === -1 ? query.length : end + 2;
+        sql += query.slice(i, stop);
+        stripped += ' ';
+        i = stop;
+        continue;
+      }
+
+      if (char === ';') {
+        pushStatement();
+        i++;
+        continue;
+      }
+
+      sql += char;
+      stripped += char;
+      i++;
+    }
+
+    pushStatement();
+    return statements;
+  };
+
+  const classifySqlStatements = (query) => {
+    const readVerbs = ['SELECT', 'SHOW', 'DESCRIBE', 'DESC', 'EXPLAIN', 'WITH', 'HELP', 'USE'];
+    const ddlVerbs = ['CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'RENAME', 'GRANT', 'REVOKE'];
+
+    return splitSqlStatements(query).map(({ sql, stripped }) => {
+      const normalized = stripped.replace(/\s+/g, ' ').trim().toUpperCase();
+      const verb = (normalized.match(/^[A-Z]+/) || [''])[0];
+
+      let type = 'write';
+      if (readVerbs.includes(verb)) {
+        type = 'read';
+      } else if (ddlVerbs.includes(verb)) {
+        type = 'ddl';
+      }
+
+      // SELECT ... INTO OUTFILE and data-modifying CTEs write despite their verb
+      if (
+        type === 'read' &&
+        (/\bINTO\s+(OUTFILE|DUMPFILE)\b/.test(normalized) ||
+          (verb === 'WITH' && /\b(INSERT|UPDATE|DELETE|REPLACE)\b/.test(normalized)))
+      ) {
+        type = 'write';
+      }
+
+      // EXPLAIN ANALYZE (MySQL) and ANALYZE (MariaDB) execute the statement they profile
+      const analyzed = normalized.match(
+        /^(?:(?:EXPLAIN|DESCRIBE|DESC) (?:FORMAT ?= ?\w+ )?ANALYZE|ANALYZE)(?: FORMAT ?= ?\w+)? (INSERT|UPDATE|DELETE|REPLACE)\b/,
+      );
+      if (analyzed) {
+        type = 'write';
+      }
+      const dmlVerb = analyzed ? analyzed[1] : verb;
+
+      let destructive = false;
+      let reason = null;
+      if (verb === 'DROP' || verb === 'TRUNCATE') {
+        destructive = true;
+        reason = `${verb} removes data permanently`;
+      } else if (verb === 'ALTER' && /\bDROP\b/.test(normalized)) {
+        destructive = true;
+        reason = 'ALTER ... DROP removes columns, indexes or partitions';
+      } else if (
+        (dmlVerb === 'DELETE' || dmlVerb === 'UPDATE') &&
+        !/\bWHERE\b/.test(normalized) &&
+        !/\bLIMIT\b/.test(normalized)
+      ) {
+        destructive = true;
+        reason = `${dmlVerb} without WHERE or LIMIT affects every row`;
+      }
+
+      return { sql, type, verb, destructive, reason };
+    });
+  };
+
+  test('should classify reads, writes and DDL', () => {
+    const result = classifySqlStatements(
+      'SELECT * FROM sales_order; INSERT INTO flag VALUES (1); CREATE TABLE tmp (id INT)'
+    );
+
+    expect(result.map(statement => statement.type)).toEqual(['read', 'write', 'ddl']);
+    expect(result.map(statement => statement.verb)).toEqual(['SELECT', 'INSERT', 'CREATE']);
+  });
+
+  test('should flag DROP, TRUNCATE and unbounded DELETE as destructive', () => {
+    const result = classifySqlStatements(
+      'DROP TABLE tmp; TRUNCATE cache; DELETE FROM quote; DELETE FROM quote WHERE entity_id = 5; UPDATE quote SET is_active = 0 LIMIT 10'
+    );
+
+    expect(result.map(statement => statement.destructive)).toEqual([true, true, true, false, false]);
+    expect(result[2].reason).toBe('DELETE without WHERE or LIMIT affects every row');
+  });
+
+  test('should flag ALTER ... DROP as destructive DDL', () => {
+    const [statement] = classifySqlStatements('ALTER TABLE quote DROP COLUMN legacy_flag');
+
+    expect(statement.type).toBe('ddl');
+    expect(statement.destructive).toBe(true);
+  });
+
+  test('should ignore semicolons and keywords inside strings and comments', () => {
+    const result = classifySqlStatements(
+      "UPDATE core_config_data SET value = 'a; DROP TABLE x' WHERE path = 'web/secure'; -- DELETE FROM x;\nSELECT 'it''s; fine' # DROP\n"
+    );
+
+    expect(result).toHaveLength(2);
+    expect(result[0]).toMatchObject({ verb: 'UPDATE', destructive: false });
+    expect(result[1]).toMatchObject({ verb: 'SELECT', type: 'read' });
+  });
+
+  test('should treat SELECT INTO OUTFILE and data-modifying CTEs as writes', () => {
+    const result = classifySqlStatements(
+      "SELECT * FROM customer_entity INTO OUTFILE '/tmp/customers.csv'; WITH old AS (SELECT entity_id FROM quote) DELETE FROM quote WHERE entity_id IN (SELECT entity_id FROM old)"
+    );
+
+    expect(result.map(statement => statement.type)).toEqual(['write', 'write']);
+  });
+
+  test('should classify the contents of executable comments', () => {
+    expect(classifySqlStatements('/*!40101 DROP TABLE sales_order */')).toEqual([
+      expect.objectContaining({ type: 'ddl', verb: 'DROP', destructive: true })
+    ]);
+
+    const result = classifySqlStatements('SELECT 1; /*! TRUNCATE customer_entity */; /*M!100100 DELETE FROM quote */; SELECT /*!40001 SQL_NO_CACHE */ * FROM t /* plain; DROP */');
+    expect(result.map(statement => [statement.verb, statement.type, statement.destructive])).toEqual([
+      ['SELECT', 'read', false],
+      ['TRUNCATE', 'ddl', true],
+      ['DELETE', 'write', true],
+      ['SELECT', 'read', false]
+    ]);
+  });
+
+  test('should treat analyzed DML as a write', () => {
+    const result = classifySqlStatements(
+      'EXPLAIN ANALYZE DELETE FROM quote; EXPLAIN ANALYZE FORMAT=TREE UPDATE quote SET is_active = 0 WHERE entity_id = 1; ANALYZE DELETE FROM quote WHERE entity_id = 2; EXPLAIN ANALYZE SELECT * FROM quote'
+    );
+
+    expect(result.map(statement => statement.type)).toEqual(['write', 'write', 'write', 'read']);
+    expect(result[0]).toMatchObject({ destructive: true, reason: 'DELETE without WHERE or LIMIT affects every row' });
+  });
+
+  test('should treat unknown statements as writes', () => {
+    const [statement] = classifySqlStatements('OPTIMIZE TABLE sales_order');
+
+    expect(statement.type).toBe('write');
+  });
+
+  test('should skip empty statements', () => {
+    expect(splitSqlStatements('SELECT 1;;  ;\n')).toEqual([
+      { sql: 'SELECT 1', stripped: 'SELECT 1' }
+    ]);
+  });
+
+  test('should only allow plain DML to be previewed with a dry run', () => {
+    const notPreviewable = (query) => classifySqlStatements(query)
+      .filter((statement) => statement.type !== 'read')
+      .filter((statement) => !['INSERT', 'UPDATE', 'DELETE', 'REPLACE'].includes(statement.verb))
+      .map((statement) => statement.verb);
+
+    expect(notPreviewable('UPDATE t SET a = 1 WHERE id = 2; REPLACE INTO t VALUES (1); SELECT 1')).toEqual([]);
+    expect(notPreviewable('KILL 12; CALL cleanup(); FLUSH TABLES; OPTIMIZE TABLE t')).toEqual(['KILL', 'CALL', 'FLUSH', 'OPTIMIZE']);
+    expect(notPreviewable('PURGE BINARY LOGS BEFORE NOW(); START TRANSACTION; DROP TABLE t')).toEqual(['PURGE', 'START', 'DROP']);
+  });
+});